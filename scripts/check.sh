@@ -0,0 +1,48 @@
+#!/bin/bash -e
+
+# Runs the root filter the ways Alfred does, offline with placeholder
+# credentials, and fails if any run answers with an error item.
+# Usage: ./scripts/check.sh
+
+export OFFLINE=1
+export GITHUB_API_KEY=check GITHUB_REPO=fastview-ai/fv-alfred
+export LINEAR_API_KEY=check LINEAR_TEAM=check
+
+check() {
+  local description="$1"
+  shift
+  local output
+  output=$(node src/root-filter.js "$@")
+  if echo "$output" | jq -e '.items[] | select(.uid == "root-error")' > /dev/null; then
+    echo "❌ $description"
+    echo "$output" | jq -r '.items[] | select(.uid == "root-error") | .subtitle'
+    exit 1
+  fi
+  echo "✅ $description"
+}
+
+check "Search every source" foo
+check "Search one source" gh foo
+
+# Alfred reruns the filter with the sources still refreshing in the background
+pendingSources="{\"gh\":$(date +%s000)}" check "Rerun while a source refreshes" gh foo
+pendingSources="{\"gh\":0,\"ln\":0}" check "Rerun after giving up on refreshes" foo
+
+# Sources are discovered from src/, but Alfred only passes the workflow
+# variables and configuration fields info.plist declares
+node -e '
+const fs = require("fs");
+const { loadSources } = require("./src/source-registry");
+const plist = fs.readFileSync("info.plist", "utf8");
+const missing = loadSources().flatMap((source) =>
+  (source.requiredEnv || [])
+    .map((names) => [names].flat())
+    .filter((names) => !names.some((name) => plist.includes(`>${name}<`)))
+    .map((names) => `${source.name}: ${names.join(" or ")}`)
+);
+if (missing.length > 0) {
+  console.log(`❌ Declared in info.plist\n${missing.join("\n")}`);
+  process.exit(1);
+}
+console.log("✅ Declared in info.plist");
+'
@@ -1,15 +1,7 @@
 #!/bin/bash -e
 
 if [[ " $@ " =~ " -h " ]] || [[ " $@ " =~ " --help " ]]; then
-  echo "Usage:"
-  echo "  ./scripts/run.sh <query>     Search across all sources"
-  echo "  ./scripts/run.sh ln <query>  Search or create Linear issues"
-  echo "  ./scripts/run.sh gh <query>  Search GitHub pull requests" 
-  echo "  ./scripts/run.sh vc <query>  Search Vercel deployments"
-  echo "  ./scripts/run.sh vc env <prod|dev|preview>  Get Vercel environment variables"
-  echo "  ./scripts/run.sh fg <query>  Search Figma comments"
-  echo "  ./scripts/run.sh lm <query>  Search Loom videos"
-  echo "  ./scripts/run.sh cr <query>  Search Cursor usage analytics"
+  node src/source-registry.js
   exit 1
 fi
 
@@ -0,0 +1,149 @@
+const { logError } = require("./error-logger");
+const {
+  createFilterItem,
+  createItemMods,
+  createErrorItem,
+  executeFilterModule,
+  filterByWords,
+} = require("./filter-logic");
+const {
+  getBranchLinks,
+  getKnownBranches,
+  getBranchRelations,
+  getIssue,
+  findBranch,
+} = require("./source-linker");
+const { createIssueItem } = require("./linear-filter");
+const { createPullItem } = require("./github-filter");
+const { createDeploymentItem } = require("./vercel-filter");
+
+// Latest deployment for each readyState, e.g. the READY one still serving the
+// preview next to the ERROR one that just failed
+function getLatestDeploymentPerState(deployments) {
+  const latestByState = new Map();
+  deployments.forEach((deployment) => {
+    if (!latestByState.has(deployment.readyState)) {
+      latestByState.set(deployment.readyState, deployment);
+    }
+  });
+  return [...latestByState.values()];
+}
+
+function createBranchItems(branch) {
+  const { issue, pulls, deployments, previewUrl } = getBranchLinks(branch);
+
+  const items = [
+    issue && createIssueItem(issue),
+    ...pulls.map((pr) => createPullItem(pr)),
+    ...getLatestDeploymentPerState(deployments).map((deployment) =>
+      createDeploymentItem(deployment)
+    ),
+  ];
+
+  if (previewUrl) {
+    items.push(
+      createFilterItem({
+        title: `🔗 Preview ${previewUrl}`,
+        subtitle: ` ⮑ Latest ready deployment of ${branch}`,
+        arg: previewUrl,
+        iconPath: "./src/icons/vercel.png",
+        source: "br",
+        uid: `branch-preview-${branch}`,
+        mods: createItemMods({ url: previewUrl, branch }),
+      })
+    );
+  }
+
+  return items.filter(Boolean);
+}
+
+// Hints that aren't results, actioning them does nothing
+function createMessageItem(title, subtitle) {
+  return {
+    ...createFilterItem({
+      title,
+      subtitle,
+      iconPath: "./src/icons/github.png",
+      source: "br",
+    }),
+    valid: false,
+  };
+}
+
+// Without an exact match, offer the branches we know about to pick from
+function createBranchPickerItems(query) {
+  const items = getKnownBranches().map((branch) => ({
+    ...createFilterItem({
+      title: branch,
+      subtitle:
+        getBranchRelations(branch).join(" • ") ||
+        "No pull request or deployment",
+      arg: branch,
+      iconPath: "./src/icons/github.png",
+      source: "br",
+    }),
+    autocomplete: `br ${branch}`,
+    valid: false,
+  }));
+
+  if (items.length === 0) {
+    return [
+      createMessageItem(
+        "No branches found",
+        "Pull requests and deployments show up once they're cached"
+      ),
+    ];
+  }
+
+  const matchingItems = filterByWords(items, query);
+  if (matchingItems.length === 0) {
+    return [
+      createMessageItem(
+        `No branch matches "${query}"`,
+        "Try a branch name or a Linear identifier like ENG-123"
+      ),
+    ];
+  }
+  return matchingItems;
+}
+
+async function branchFilter(query) {
+  try {
+    const name = (query ?? "").trim();
+    const branch = findBranch(name);
+    if (branch) {
+      return createBranchItems(branch);
+    }
+
+    // An issue nobody has started a branch for yet
+    const issue = getIssue(name);
+    if (issue) {
+      return [createIssueItem(issue)];
+    }
+
+    return createBranchPickerItems(name);
+  } catch (error) {
+    logError(error, "branchFilter");
+    error.scriptFilterItem = createErrorItem({
+      title: "Branch overview",
+      subtitle: error.message,
+      iconPath: "./src/icons/github.png",
+      source: "br",
+      uid: "branch-error",
+    });
+    throw error;
+  }
+}
+
+module.exports = branchFilter;
+module.exports.mode = {
+  prefix: "br",
+  name: "Branch overview",
+  description: "Show the issue, pull requests and deployments of a branch",
+  usage: "<branch|ENG-123>",
+};
+
+if (require.main === module) {
+  const query = process.argv.slice(2).join(" ");
+  executeFilterModule(() => branchFilter(query));
+}
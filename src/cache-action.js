@@ -0,0 +1,88 @@
+/**
+ * Usage: node src/cache-action.js <refresh|clear> <source prefix|all>
+ *
+ * Alfred runs this for the actions `aa cache` and `aa sync` list (see
+ * cache-filter.js and sync-filter.js), what it prints is shown as a
+ * notification.
+ */
+
+const { logError } = require("./error-logger");
+const {
+  spawnAsyncCache,
+  removeCache,
+  clearSyncState,
+} = require("./data-cache-async");
+const { removeSyncStatus, updateSyncStatus } = require("./sync-coordinator");
+const {
+  loadSources,
+  getSource,
+  isSourceConfigured,
+  getSourceCaches,
+} = require("./source-registry");
+
+function getTargetSources(name) {
+  if (name === "all") {
+    return loadSources().filter(isSourceConfigured);
+  }
+  const source = getSource(name);
+  if (!source) {
+    throw new Error(`Unknown source: ${name}`);
+  }
+  return [source];
+}
+
+function refreshSources(sources) {
+  // `aa sync` shows the caches as syncing until the coordinator is up
+  const queuedAt = Date.now();
+  sources
+    .flatMap(getSourceCaches)
+    .forEach(({ cacheFile }) => updateSyncStatus(cacheFile, { queuedAt }));
+  // Asked for explicitly, even caches written moments ago
+  spawnAsyncCache("sync-coordinator.js", [
+    "--force",
+    ...sources.map((source) => source.prefix),
+  ]);
+  return `Refreshing ${sources.map((source) => source.name).join(", ")}`;
+}
+
+function clearSources(sources, name) {
+  const cacheFiles = sources.flatMap((source) =>
+    getSourceCaches(source).map(({ cacheFile }) => cacheFile)
+  );
+  cacheFiles.forEach((cacheFile) => {
+    removeCache(cacheFile);
+    removeSyncStatus(cacheFile);
+  });
+  // Sources resync fully without their cache anyway, clearing everything
+  // forgets their watermarks too
+  if (name === "all") {
+    clearSyncState();
+  }
+  return `Cleared ${cacheFiles.length} ${
+    cacheFiles.length === 1 ? "cache" : "caches"
+  }`;
+}
+
+function runCacheAction(action, name) {
+  const sources = getTargetSources(name);
+  switch (action) {
+    case "refresh":
+      return refreshSources(sources);
+    case "clear":
+      return clearSources(sources, name);
+    default:
+      throw new Error(`Unknown cache action: ${action}`);
+  }
+}
+
+module.exports = { runCacheAction };
+
+if (require.main === module) {
+  const [action, name = "all"] = process.argv.slice(2).join(" ").split(/\s+/);
+  try {
+    console.log(runCacheAction(action, name));
+  } catch (error) {
+    logError(error, "cache-action");
+    console.log(error.message);
+  }
+}
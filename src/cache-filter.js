@@ -0,0 +1,180 @@
+const { logError } = require("./error-logger");
+const {
+  createFilterItem,
+  createErrorItem,
+  executeFilterModule,
+  formatRelativeDate,
+  formatDuration,
+} = require("./filter-logic");
+const { readFromCache, statCache } = require("./data-cache-async");
+const { isLocked } = require("./lockfile");
+const { readSyncStatus } = require("./sync-coordinator");
+
+// The sources whose caches to show: every configured one, or the one named in
+// the query
+function getCacheSources(query) {
+  // Required here, the registry loads this module
+  const { loadSources, isSourceConfigured } = require("./source-registry");
+  const name = (query ?? "").trim();
+  return loadSources()
+    .filter(isSourceConfigured)
+    .filter(
+      (source) =>
+        !name || source.prefix === name || source.filterModule === name
+    );
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// "42 items • 5 minutes ago • 12.3 KB • fetched in 0.4s", and the last
+// refresh's error
+function formatCacheDetails({ cacheFile, schema }, status = {}) {
+  const stats = statCache(cacheFile);
+  const details = [];
+
+  if (!stats) {
+    details.push("Not cached");
+  } else {
+    // Caches that aren't lists (the Linear issue creation metadata) have no
+    // count, outdated ones read as missing
+    const items = readFromCache(cacheFile, schema);
+    if (items) {
+      details.push(`${items.length} ${items.length === 1 ? "item" : "items"}`);
+    } else if (schema) {
+      details.push("Outdated");
+    }
+    details.push(formatRelativeDate(stats.mtime), formatSize(stats.size));
+  }
+
+  if (isLocked(cacheFile)) {
+    details.push("⏳ Refreshing…");
+  } else if (status.state === "done") {
+    details.push(`fetched in ${formatDuration(status.duration)}`);
+  }
+  if (status.state === "error") {
+    details.push(`⚠️ ${status.error}`);
+  }
+  return details.join(" • ");
+}
+
+// Actioning these runs src/cache-action.js, the workflow routes on `action`
+function createActionItem({ title, subtitle, arg, iconPath }) {
+  const item = createFilterItem({
+    title,
+    subtitle,
+    arg,
+    iconPath,
+    source: "cache",
+  });
+  return {
+    ...item,
+    variables: { ...item.variables, action: "cache" },
+  };
+}
+
+function createCacheItems(source, allStatus) {
+  const { getSourceCaches } = require("./source-registry");
+
+  return getSourceCaches(source).map((target) => ({
+    ...createFilterItem({
+      title: target.cacheFile,
+      subtitle: `${source.name} • ${formatCacheDetails(
+        target,
+        allStatus[target.cacheFile]
+      )}`,
+      iconPath: source.iconPath,
+      source: "cache",
+      uid: `cache-${target.cacheFile}`,
+    }),
+    autocomplete: `cache ${source.prefix}`,
+    valid: false,
+  }));
+}
+
+async function cacheFilter(query) {
+  try {
+    const sources = getCacheSources(query);
+    if (sources.length === 0) {
+      return [
+        {
+          ...createFilterItem({
+            title: "No caches",
+            subtitle: query.trim()
+              ? `No configured source matches "${query.trim()}"`
+              : "Configure a source in the workflow's variables first",
+            iconPath: "./src/icons/atta.png",
+            source: "cache",
+          }),
+          valid: false,
+        },
+      ];
+    }
+
+    const allStatus = readSyncStatus();
+    const items = sources.flatMap((source) =>
+      createCacheItems(source, allStatus)
+    );
+
+    // One source: act on it, otherwise on everything
+    if (sources.length === 1) {
+      const [source] = sources;
+      items.push(
+        createActionItem({
+          title: `Refresh ${source.name}`,
+          subtitle: "Fetch this source's caches again in the background",
+          arg: `refresh ${source.prefix}`,
+          iconPath: source.iconPath,
+        }),
+        createActionItem({
+          title: `Clear ${source.name}`,
+          subtitle: "Delete this source's caches, the next search fetches them",
+          arg: `clear ${source.prefix}`,
+          iconPath: source.iconPath,
+        })
+      );
+    } else {
+      items.push(
+        createActionItem({
+          title: "Clear all caches",
+          subtitle:
+            "Delete every source's cache and sync state, the next search fetches them",
+          arg: "clear all",
+          iconPath: "./src/icons/atta.png",
+        })
+      );
+    }
+
+    return items;
+  } catch (error) {
+    logError(error, "cacheFilter");
+    error.scriptFilterItem = createErrorItem({
+      title: "Caches",
+      subtitle: error.message,
+      iconPath: "./src/icons/atta.png",
+      source: "cache",
+      uid: "cache-error",
+    });
+    throw error;
+  }
+}
+
+module.exports = cacheFilter;
+module.exports.mode = {
+  prefix: "cache",
+  name: "Caches",
+  description: "Show each source's cache, refresh or clear them",
+  usage: "[<source>]",
+};
+
+if (require.main === module) {
+  const query = process.argv.slice(2).join(" ");
+  executeFilterModule(() => cacheFilter(query));
+}
@@ -428,7 +428,7 @@ async function getUnifiedMetadata(linearToken) {
     writePrefs(metadata);
   } else {
     // Cache exists but trigger async refresh in background for filter responsiveness
-    createLinearIssueCacheAsync(linearToken);
+    createLinearIssueCacheAsync();
   }
 
   return metadata;
@@ -2,6 +2,7 @@ const { logError, logFetchResponseError } = require("./error-logger");
 const { execSync } = require("child_process");
 const { readFromCache, writeToCache } = require("./filter-cache-async");
 const utils = require("./create-linear-issue-logic");
+const { issuesCache, projectIssue } = require("./linear-filter");
 
 const linearToken = process.env.LINEAR_API_KEY;
 if (!linearToken) {
@@ -55,14 +56,17 @@ async function createIssueMutation(
               issue {
                 title
                 identifier
+                branchName
                 state {
                   name
                 }
+                createdAt
                 updatedAt
                 assignee {
                   id
                   name
                   displayName
+                  isMe
                 }
                 url
                 priority
@@ -107,10 +111,11 @@ async function createIssueMutation(
   // Immediately append the new issue to the cache
   if (!dryRun && newIssue) {
     try {
-      const existingCache = readFromCache("linear-cache.json") || [];
+      const existingCache =
+        readFromCache(issuesCache.cacheFile, issuesCache.schema) || [];
       // Add the new issue to the beginning of the cache (most recent first)
-      const updatedCache = [newIssue, ...existingCache];
-      writeToCache("linear-cache.json", updatedCache);
+      const updatedCache = [projectIssue(newIssue), ...existingCache];
+      writeToCache(issuesCache.cacheFile, updatedCache, issuesCache.schema);
     } catch (error) {
       // Don't fail the entire operation if cache update fails
       logError(error, "updateCacheAfterCreate");
@@ -7,13 +7,86 @@ const {
   createNavigationItem,
   wrapFilterResults,
   executeFilterModule,
-  filterByWords,
+  filterByQuery,
+  createQueryHintItem,
+  createSearchText,
 } = require("./filter-logic");
+const {
+  parseQuery,
+  applyOperators,
+  formatOperatorUsage,
+  dateOperator,
+} = require("./query-parser");
 
 const cursorSessionToken = process.env.CURSOR_SESSION_TOKEN;
 const cursorTeamId = process.env.CURSOR_TEAM_ID;
 const cursorUserId = process.env.CURSOR_USER_ID;
 
+// One page of the 30 days of usage events up to endDate, newest first
+async function fetchUsageEventsPage(page, pageSize, endDate = Date.now()) {
+  const startDate = endDate - 30 * 24 * 60 * 60 * 1000;
+
+  const response = await fetch(
+    "https://www.cursor.com/api/dashboard/get-filtered-usage-events",
+    {
+      headers: {
+        accept: "*/*",
+        "accept-language": "en-US,en;q=0.9",
+        "content-type": "application/json",
+        priority: "u=1, i",
+        "sec-ch-ua":
+          '"Google Chrome";v="137", "Chromium";v="137", "Not/A)Brand";v="24"',
+        "sec-ch-ua-arch": '"arm"',
+        "sec-ch-ua-bitness": '"64"',
+        "sec-ch-ua-mobile": "?0",
+        "sec-ch-ua-platform": '"macOS"',
+        "sec-ch-ua-platform-version": '"15.5.0"',
+        "sec-fetch-dest": "empty",
+        "sec-fetch-mode": "cors",
+        "sec-fetch-site": "same-origin",
+        cookie: `NEXT_LOCALE=en; WorkosCursorSessionToken=${cursorSessionToken};`,
+        Referer: "https://www.cursor.com/dashboard?tab=usage",
+        "Referrer-Policy": "strict-origin-when-cross-origin",
+      },
+      body: JSON.stringify({
+        teamId: parseInt(cursorTeamId),
+        startDate: startDate.toString(),
+        endDate: endDate.toString(),
+        userId: parseInt(cursorUserId),
+        page: page,
+        pageSize: pageSize,
+      }),
+      method: "POST",
+    }
+  );
+
+  if (!response.ok) {
+    await logFetchResponseError(response, "fetchAllUsageEvents");
+    const error = new Error(`Cursor API request failed (${response.status})`);
+    error.statusCode = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  const usageEvents = data.usageEventsDisplay;
+
+  if (!usageEvents || !Array.isArray(usageEvents)) {
+    throw new Error("Invalid response format from Cursor API");
+  }
+
+  return usageEvents;
+}
+
+// Only what the sprints add up, events carry token counts and pricing details.
+// Searched as sprints, see cursorFilter.
+function projectUsageEvent(event) {
+  return {
+    timestamp: event.timestamp,
+    model: event.model,
+    usageBasedCosts: event.usageBasedCosts,
+  };
+}
+
 async function fetchAllUsageEvents() {
   if (!cursorSessionToken) {
     throw new Error("Missing CURSOR_SESSION_TOKEN env var");
@@ -30,58 +103,13 @@ async function fetchAllUsageEvents() {
   let hasMoreData = true;
   const pageSize = 100;
 
-  // Get data for last 30 days
+  // Get data for last 30 days, the same window for every page
   const endDate = Date.now();
-  const startDate = endDate - 30 * 24 * 60 * 60 * 1000;
 
   while (hasMoreData) {
-    const response = await fetch(
-      "https://www.cursor.com/api/dashboard/get-filtered-usage-events",
-      {
-        headers: {
-          accept: "*/*",
-          "accept-language": "en-US,en;q=0.9",
-          "content-type": "application/json",
-          priority: "u=1, i",
-          "sec-ch-ua":
-            '"Google Chrome";v="137", "Chromium";v="137", "Not/A)Brand";v="24"',
-          "sec-ch-ua-arch": '"arm"',
-          "sec-ch-ua-bitness": '"64"',
-          "sec-ch-ua-mobile": "?0",
-          "sec-ch-ua-platform": '"macOS"',
-          "sec-ch-ua-platform-version": '"15.5.0"',
-          "sec-fetch-dest": "empty",
-          "sec-fetch-mode": "cors",
-          "sec-fetch-site": "same-origin",
-          cookie: `NEXT_LOCALE=en; WorkosCursorSessionToken=${cursorSessionToken};`,
-          Referer: "https://www.cursor.com/dashboard?tab=usage",
-          "Referrer-Policy": "strict-origin-when-cross-origin",
-        },
-        body: JSON.stringify({
-          teamId: parseInt(cursorTeamId),
-          startDate: startDate.toString(),
-          endDate: endDate.toString(),
-          userId: parseInt(cursorUserId),
-          page: page,
-          pageSize: pageSize,
-        }),
-        method: "POST",
-      }
-    );
-
-    if (!response.ok) {
-      await logFetchResponseError(response, "fetchAllUsageEvents");
-      throw new Error("Cursor API request failed");
-    }
-
-    const data = await response.json();
-    const usageEvents = data.usageEventsDisplay;
-
-    if (!usageEvents || !Array.isArray(usageEvents)) {
-      throw new Error("Invalid response format from Cursor API");
-    }
+    const usageEvents = await fetchUsageEventsPage(page, pageSize, endDate);
 
-    allUsageEvents.push(...usageEvents);
+    allUsageEvents.push(...usageEvents.map(projectUsageEvent));
 
     // Check if there are more pages (if we got a full page, there might be more)
     hasMoreData = usageEvents.length === pageSize;
@@ -91,11 +119,27 @@ async function fetchAllUsageEvents() {
   return allUsageEvents;
 }
 
+// The session cookie expires, the usage endpoint answering means it hasn't.
+// For `aa doctor`.
+async function checkAuth() {
+  try {
+    await fetchUsageEventsPage(1, 1);
+  } catch (error) {
+    // Only a refusal means the session expired, an outage or a changed API
+    // is reported as is
+    if ([401, 403].includes(error.statusCode)) {
+      throw new Error("CURSOR_SESSION_TOKEN was rejected, copy a new one");
+    }
+    throw error;
+  }
+  return null;
+}
+
 function aggregateUsageIntoSprints(usageEvents) {
   if (!usageEvents.length) return [];
 
   // Sort events by timestamp (descending - most recent first)
-  const sortedEvents = usageEvents.sort(
+  const sortedEvents = [...usageEvents].sort(
     (a, b) => parseInt(b.timestamp) - parseInt(a.timestamp)
   );
 
@@ -146,15 +190,43 @@ const fetchAllUsageEventsWithCache = withFilterCache(
   fetchAllUsageEvents,
   "cursor-filter",
   "cursor-cache.json",
-  { cachePolicy: process.env.CACHE_POLICY }
+  {
+    cachePolicy: process.env.CACHE_POLICY,
+    // Usage only adds up slowly
+    ttl: 15 * 60 * 1000,
+    version: 2,
+    migrate: (usageEvents) => usageEvents.map(projectUsageEvent),
+  }
 );
 
-async function cursorFilter(query) {
+// Query operators, e.g. `created:<7d`
+const sprintOperators = {
+  created: dateOperator("created", (sprint) => Number(sprint.startTime)),
+};
+
+async function cursorFilter(query, cacheOptions) {
   try {
-    const allUsageEvents = await fetchAllUsageEventsWithCache();
+    const allUsageEvents = await fetchAllUsageEventsWithCache(cacheOptions);
     const sprints = aggregateUsageIntoSprints(allUsageEvents);
 
-    const sprintItems = sprints.map((sprint, index) => {
+    const parsedQuery = parseQuery(query);
+    const { records: matchingSprints, unsupported } = applyOperators(
+      sprints,
+      parsedQuery,
+      sprintOperators
+    );
+    if (unsupported.length > 0) {
+      return [
+        createQueryHintItem({
+          unsupported,
+          usage: formatOperatorUsage(sprintOperators),
+          iconPath: "./src/icons/cursor.png",
+          source: "cr",
+        }),
+      ];
+    }
+
+    const sprintItems = matchingSprints.map((sprint) => {
       const cost = calculateSprintCost(sprint);
       const startDate = new Date(parseInt(sprint.startTime));
       const endDate = new Date(parseInt(sprint.endTime));
@@ -180,10 +252,11 @@ async function cursorFilter(query) {
             }`
           : cleanedModels.join(", ");
 
+      const title = `💰${cost > 3 ? "🔥" : ""} $${cost.toFixed(2)} - ${
+        sprint.events.length
+      } requests`;
       return createFilterItem({
-        title: `💰${cost > 3 ? "🔥" : ""} $${cost.toFixed(2)} - ${
-          sprint.events.length
-        } requests`,
+        title,
         subtitle: formatSubtitle(
           `${modelsText}`,
           startDate.toISOString(),
@@ -194,7 +267,9 @@ async function cursorFilter(query) {
         iconPath: "./src/icons/cursor.png",
         source: "cr",
         date: startDate,
-        // uid: `cursor-sprint-${index}`,
+        uid: `cursor-sprint-${sprint.startTime}`,
+        // Every model, the subtitle only names two
+        search: createSearchText(title, ...cleanedModels),
       });
     });
 
@@ -203,11 +278,11 @@ async function cursorFilter(query) {
       arg: "https://www.cursor.com/dashboard?tab=usage",
       iconPath: "./src/icons/cursor.png",
       source: "cr",
-      // uid: "cursor-navigation",
+      uid: "cursor-navigation",
     });
 
     const allItems = wrapFilterResults(sprintItems, navigationItem);
-    return filterByWords(allItems, query);
+    return filterByQuery(allItems, parsedQuery);
   } catch (error) {
     logError(error, "cursorFilter");
     error.scriptFilterItem = createErrorItem({
@@ -216,7 +291,7 @@ async function cursorFilter(query) {
       arg: "https://www.cursor.com/dashboard?tab=usage",
       iconPath: "./src/icons/cursor.png",
       source: "cr",
-      // uid: "cursor-error",
+      uid: "cursor-error",
     });
     throw error;
   }
@@ -224,6 +299,21 @@ async function cursorFilter(query) {
 
 module.exports = cursorFilter;
 module.exports.fetchAllData = fetchAllUsageEvents;
+module.exports.source = {
+  prefix: "cr",
+  name: "Cursor usage",
+  description: "Search Cursor usage analytics",
+  iconPath: "./src/icons/cursor.png",
+  requiredEnv: ["CURSOR_SESSION_TOKEN", "CURSOR_TEAM_ID", "CURSOR_USER_ID"],
+  credentialEnv: ["CURSOR_SESSION_TOKEN"],
+  cacheFile: fetchAllUsageEventsWithCache.cacheFile,
+  cacheTtl: fetchAllUsageEventsWithCache.ttl,
+  cacheSchema: fetchAllUsageEventsWithCache.schema,
+  fetchAllData: fetchAllUsageEvents,
+  operators: sprintOperators,
+  checkAuth,
+  setupUrl: "https://www.cursor.com/dashboard",
+};
 
 if (require.main === module) {
   const query = process.argv.slice(2).join(" ");
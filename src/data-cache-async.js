@@ -1,4 +1,5 @@
 const { logErrorSilently } = require("./error-logger");
+const { redactText, findSecretEnvName } = require("./redact");
 
 const fs = require("fs");
 const path = require("path");
@@ -12,7 +13,7 @@ function createLogger(
 ) {
   const log = (msg, prefix = "") => {
     const timestamp = new Date().toISOString();
-    const logEntry = `${timestamp}: ${prefix}${msg}\n`;
+    const logEntry = `${timestamp}: ${prefix}${redactText(msg)}\n`;
 
     try {
       // Ensure logs directory exists
@@ -73,6 +74,13 @@ function redirectConsoleToLog(log, prefix = "") {
 
 // Generic async cache spawner
 function spawnAsyncCache(scriptName, args = []) {
+  // Scripts read credentials from the environment they inherit: a process's
+  // arguments are visible to everyone in `ps`
+  const secretName = args.map(findSecretEnvName).find(Boolean);
+  if (secretName) {
+    throw new Error(`${scriptName} was passed ${secretName} as an argument`);
+  }
+
   const nodePath = process.env.NODE_PATH || "node";
   const cwd = process.cwd();
   const scriptPath = path.join(cwd, "src", scriptName);
@@ -86,8 +94,58 @@ function spawnAsyncCache(scriptName, args = []) {
   child.unref();
 }
 
+// Write to a temp file and rename it into place, so readers (an Alfred
+// keystroke while a background refresh writes) never see half a file
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Cache files are envelopes { version, source, fetchedAt, items }. The schema
+// ({ source, version, migrate }) is the cache's owner's, bump its version
+// whenever the cached shape changes, e.g. a field added to a query.
+// Caches from before envelopes (plain arrays) count as version 1.
+const LEGACY_CACHE_VERSION = 1;
+
+// Parsed cache files by name, only kept by the search daemon (see
+// search-daemon.js) which forgets them when the files change
+let cacheMemory = null;
+
+function keepCachesInMemory() {
+  cacheMemory = cacheMemory ?? new Map();
+}
+
+// Forget one cache file, or all of them
+function forgetCache(cacheFile) {
+  if (cacheFile) {
+    cacheMemory?.delete(cacheFile);
+  } else {
+    cacheMemory?.clear();
+  }
+}
+
+function readCacheFile(cacheFile, cachePath) {
+  if (cacheMemory?.has(cacheFile)) {
+    return cacheMemory.get(cacheFile);
+  }
+  const cached = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+  if (cacheMemory) {
+    // Every search reads the same items, sorting them in place would change
+    // what the next one sees
+    Object.freeze(Array.isArray(cached) ? cached : cached.items);
+    cacheMemory.set(cacheFile, cached);
+  }
+  return cached;
+}
+
 // Cache utility functions
-function writeToCache(cacheFile, result) {
+function writeToCache(cacheFile, result, schema = {}) {
   if (result.length > 0) {
     try {
       // Ensure user-data directory exists
@@ -98,7 +156,16 @@ function writeToCache(cacheFile, result) {
 
       // Save successful result to cache in user-data directory
       const cachePath = path.join(userDataDir, cacheFile);
-      fs.writeFileSync(cachePath, JSON.stringify(result));
+      writeFileAtomic(
+        cachePath,
+        JSON.stringify({
+          version: schema.version ?? LEGACY_CACHE_VERSION,
+          source: schema.source ?? null,
+          fetchedAt: new Date().toISOString(),
+          items: result,
+        })
+      );
+      forgetCache(cacheFile);
     } catch (error) {
       // Ignore but log it
       logErrorSilently(error, "writeToCache");
@@ -106,17 +173,32 @@ function writeToCache(cacheFile, result) {
   }
 }
 
-function readFromCache(cacheFile) {
+// Items of a cache in the schema's version. Older versions go through the
+// schema's migrate(items, fromVersion), a cache that can't be migrated (or is
+// newer) reads as missing so it gets fetched again.
+function readFromCache(cacheFile, schema) {
   try {
     const userDataDir = path.join(process.cwd(), "user-data");
     const cachePath = path.join(userDataDir, cacheFile);
 
     if (fs.existsSync(cachePath)) {
-      const cached = JSON.parse(fs.readFileSync(cachePath, "utf8"));
-      if (!Array.isArray(cached) || cached.length === 0) {
+      const cached = readCacheFile(cacheFile, cachePath);
+      const envelope = Array.isArray(cached)
+        ? { version: LEGACY_CACHE_VERSION, items: cached }
+        : cached;
+
+      let items = envelope.items;
+      if (schema?.version != null && envelope.version !== schema.version) {
+        items =
+          envelope.version < schema.version && schema.migrate
+            ? schema.migrate(items, envelope.version)
+            : null;
+      }
+
+      if (!Array.isArray(items) || items.length === 0) {
         return null;
       }
-      return cached;
+      return items;
     }
     return null;
   } catch (error) {
@@ -139,25 +221,90 @@ function shouldThrottle(cacheFilePath, throttleTimeMs = 5000) {
   }
 }
 
-// Process checking helper (for race condition prevention)
-function isProcessRunning(scriptName) {
+// Last time a cache file was written, in ms since epoch (null if missing)
+function getCacheModifiedTime(cacheFile) {
   try {
-    const { execSync } = require("child_process");
-    const psOutput = execSync(`ps aux | grep "${scriptName}" | grep -v grep`, {
-      encoding: "utf8",
-    });
-    return psOutput.trim().length > 0;
-  } catch (e) {
-    return false; // ps command failed or no processes found
+    const userDataDir = path.join(process.cwd(), "user-data");
+    const cachePath = path.join(userDataDir, cacheFile);
+    return fs.statSync(cachePath).mtime.getTime();
+  } catch (err) {
+    return null;
   }
 }
 
+// Size and modification time of a cache file (null if missing)
+function statCache(cacheFile) {
+  try {
+    return fs.statSync(path.join(process.cwd(), "user-data", cacheFile));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Delete a cache file, the next search fetches it again
+function removeCache(cacheFile) {
+  fs.rmSync(path.join(process.cwd(), "user-data", cacheFile), {
+    force: true,
+  });
+  forgetCache(cacheFile);
+}
+
+// Sync bookkeeping shared by the sources, e.g. when a cache was last fully
+// resynced, in user-data/sync-state.json keyed by cache
+const SYNC_STATE_FILE = "sync-state.json";
+
+function readSyncState(key) {
+  try {
+    const userDataDir = path.join(process.cwd(), "user-data");
+    const statePath = path.join(userDataDir, SYNC_STATE_FILE);
+    if (!fs.existsSync(statePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(statePath, "utf8"))[key] ?? null;
+  } catch (error) {
+    logErrorSilently(error, "readSyncState");
+    return null;
+  }
+}
+
+function writeSyncState(key, state) {
+  try {
+    const userDataDir = path.join(process.cwd(), "user-data");
+    if (!fs.existsSync(userDataDir)) {
+      fs.mkdirSync(userDataDir, { recursive: true });
+    }
+    const statePath = path.join(userDataDir, SYNC_STATE_FILE);
+    const allState = fs.existsSync(statePath)
+      ? JSON.parse(fs.readFileSync(statePath, "utf8"))
+      : {};
+    allState[key] = { ...allState[key], ...state };
+    writeFileAtomic(statePath, JSON.stringify(allState, null, 2));
+  } catch (error) {
+    logErrorSilently(error, "writeSyncState");
+  }
+}
+
+// Forget every watermark, the next syncs are full ones
+function clearSyncState() {
+  fs.rmSync(path.join(process.cwd(), "user-data", SYNC_STATE_FILE), {
+    force: true,
+  });
+}
+
 module.exports = {
   createLogger,
   redirectConsoleToLog,
   spawnAsyncCache,
+  writeFileAtomic,
   writeToCache,
   readFromCache,
+  keepCachesInMemory,
+  forgetCache,
   shouldThrottle,
-  isProcessRunning,
+  getCacheModifiedTime,
+  statCache,
+  removeCache,
+  readSyncState,
+  writeSyncState,
+  clearSyncState,
 };
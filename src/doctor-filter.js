@@ -0,0 +1,142 @@
+const { logError, logErrorSilently } = require("./error-logger");
+const {
+  createFilterItem,
+  createErrorItem,
+  executeFilterModule,
+} = require("./filter-logic");
+
+// A credential check taking longer than this fails (ms)
+const CHECK_TIMEOUT = 5000;
+
+function withTimeout(promise, timeout) {
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`No answer after ${timeout / 1000}s`)),
+      timeout
+    );
+  });
+  return Promise.race([promise, timedOut]).finally(() => clearTimeout(timer));
+}
+
+// The env var groups the source needs none of is set, e.g.
+// ["GITHUB_API_KEY", "GITHUB_REPOS or GITHUB_REPO or GITHUB_ORG"]
+function getMissingEnv(source) {
+  return (source.requiredEnv || [])
+    .map((names) => [names].flat())
+    .filter((names) => !names.some((name) => !!process.env[name]))
+    .map((names) => names.join(" or "));
+}
+
+// Sources check their credentials with one cheap authenticated request
+// (`checkAuth`, resolving to the account's name when the API tells it) and
+// point to where they're made (`setupUrl`)
+async function checkSource(source) {
+  // Settings like FIGMA_TEAM ship with the workflow, no token means unused
+  const credentials = source.credentialEnv ?? (source.requiredEnv || []).flat();
+  if (
+    credentials.length > 0 &&
+    !credentials.some((name) => !!process.env[name])
+  ) {
+    return { state: "unused", message: "Not set up" };
+  }
+  const missing = getMissingEnv(source);
+  if (missing.length > 0) {
+    return { state: "fail", message: `Missing ${missing.join(", ")}` };
+  }
+  if (!source.checkAuth) {
+    return { state: "pass", message: "Configured" };
+  }
+
+  try {
+    const account = await withTimeout(source.checkAuth(), CHECK_TIMEOUT);
+    return {
+      state: "pass",
+      message: account ? `Signed in as ${account}` : "Credentials accepted",
+    };
+  } catch (error) {
+    logErrorSilently(error, `${source.filterModule} checkAuth`);
+    // A TypeError is fetch getting no answer at all, e.g. offline
+    const message =
+      error instanceof TypeError
+        ? `Couldn't reach the API (${error.message})`
+        : error.message;
+    return { state: "fail", message };
+  }
+}
+
+const STATE_EMOJIS = { pass: "✅", fail: "❌", unused: "⚪️" };
+
+function createCheckItem(source, { state, message }) {
+  return {
+    ...createFilterItem({
+      title: `${STATE_EMOJIS[state]} ${source.name}`,
+      subtitle:
+        state === "pass" || !source.setupUrl
+          ? message
+          : `${message} • ↵ to fix`,
+      arg: source.setupUrl,
+      iconPath: source.iconPath,
+      source: "doctor",
+      uid: `doctor-${source.prefix}`,
+    }),
+    autocomplete: `doctor ${source.prefix}`,
+    valid: !!source.setupUrl,
+  };
+}
+
+async function doctorFilter(query) {
+  try {
+    // Required here, the registry loads this module
+    const { loadSources } = require("./source-registry");
+    const name = (query ?? "").trim();
+    const sources = loadSources().filter(
+      (source) =>
+        !name || source.prefix === name || source.filterModule === name
+    );
+    if (sources.length === 0) {
+      return [
+        {
+          ...createFilterItem({
+            title: `No source matches "${name}"`,
+            subtitle: "Try `aa doctor` to check every source",
+            iconPath: "./src/icons/atta.png",
+            source: "doctor",
+          }),
+          valid: false,
+        },
+      ];
+    }
+
+    const results = await Promise.all(sources.map(checkSource));
+    // Failures first, sources that aren't set up last
+    const order = { fail: 0, pass: 1, unused: 2 };
+    return sources
+      .map((source, index) => ({ source, result: results[index] }))
+      .sort((a, b) => order[a.result.state] - order[b.result.state])
+      .map(({ source, result }) => createCheckItem(source, result));
+  } catch (error) {
+    logError(error, "doctorFilter");
+    error.scriptFilterItem = createErrorItem({
+      title: "Doctor",
+      subtitle: error.message,
+      iconPath: "./src/icons/atta.png",
+      source: "doctor",
+      uid: "doctor-error",
+    });
+    throw error;
+  }
+}
+
+module.exports = doctorFilter;
+module.exports.mode = {
+  prefix: "doctor",
+  name: "Doctor",
+  description: "Check each source's configuration and credentials",
+  usage: "[<source>]",
+};
+
+if (require.main === module) {
+  const query = process.argv.slice(2).join(" ");
+  executeFilterModule(() => doctorFilter(query));
+}
@@ -1,6 +1,7 @@
 const fs = require("fs");
 const path = require("path");
 const util = require("util");
+const { redact } = require("./redact");
 
 class ErrorLogger {
   constructor() {
@@ -44,7 +45,8 @@ class ErrorLogger {
       }
     }
 
-    return errorInfo;
+    // Properties and messages can carry tokens, e.g. a request's headers
+    return redact(errorInfo);
   }
 
   logError(error, context = "") {
@@ -172,7 +174,9 @@ class ErrorLogger {
   // Log fetch response error with body parsing
   async logFetchResponseError(response, context = "") {
     try {
-      const errorBody = await response.json();
+      // Bodies can echo secrets back, e.g. a Vercel env var that failed to
+      // decrypt. Masked before they're flattened into the message.
+      const errorBody = redact(await response.json());
       this.logError(
         new Error(`Response body: ${JSON.stringify(errorBody, null, 2)}`),
         `${context} response`
@@ -1,36 +1,188 @@
-const { logError, logFetchResponseError } = require("./error-logger");
-const withFilterCache = require("./filter-cache-async").withFilterCache;
+const {
+  logError,
+  logErrorSilently,
+  logFetchResponseError,
+} = require("./error-logger");
+const {
+  withFilterCache,
+  withFilterCacheGroup,
+  fetchCacheGroup,
+  readCacheGroup,
+  getCacheGroupTargets,
+  readFromCache,
+} = require("./filter-cache-async");
 const {
   formatSubtitle,
   createFilterItem,
+  createItemMods,
   createErrorItem,
   createNavigationItem,
   wrapFilterResults,
   executeFilterModule,
-  filterByWords,
+  filterByQuery,
+  createQueryHintItem,
+  createSearchText,
 } = require("./filter-logic");
+const {
+  parseQuery,
+  applyOperators,
+  formatOperatorUsage,
+  isOperatorSupported,
+  enumOperator,
+  personOperator,
+  textOperator,
+  dateOperator,
+} = require("./query-parser");
 
 const figmaToken = process.env.FIGMA_API_KEY;
-const figmaFile = process.env.FIGMA_FILE;
+// Files to read comments from, comma separated file keys (FIGMA_FILE is the
+// single file setting this replaces)
+const figmaFiles = (process.env.FIGMA_FILES || process.env.FIGMA_FILE || "")
+  .split(",")
+  .map((fileKey) => fileKey.trim())
+  .filter(Boolean);
+// Team to browse projects and files of
+const figmaTeam = process.env.FIGMA_TEAM;
+
+// Without configured files, comments come from the team's most recently
+// edited files
+const MAX_TEAM_COMMENT_FILES = 20;
+// Projects listed at once, teams can have hundreds
+const MAX_CONCURRENT_PROJECTS = 4;
 
 function getEmoji(resolved) {
   return resolved ? "✅" : "💬";
 }
 
-async function fetchAllComments() {
+function checkConfig() {
   if (!figmaToken) {
     throw new Error("Missing FIGMA_API_KEY env var");
   }
 
-  if (!figmaFile) {
-    throw new Error("Missing FIGMA_FILE env var");
+  if (figmaFiles.length === 0 && !figmaTeam) {
+    throw new Error("Missing FIGMA_FILES, FIGMA_FILE or FIGMA_TEAM env var");
+  }
+}
+
+async function fetchFigma(endpoint, context) {
+  const response = await fetch(`https://api.figma.com/v1/${endpoint}`, {
+    headers: {
+      "X-Figma-Token": figmaToken,
+    },
+  });
+
+  if (!response.ok) {
+    await logFetchResponseError(response, context);
+    throw new Error("Figma API request failed");
+  }
+
+  return response.json();
+}
+
+// Files are listed with just these fields, plus their search text
+function projectFile(file) {
+  return { ...file, search: createSearchText(file.name, file.project) };
+}
+
+async function fetchProjectFiles(project) {
+  const { files } = await fetchFigma(
+    `projects/${project.id}/files`,
+    "fetchTeamFiles"
+  );
+  return files.map((file) =>
+    projectFile({
+      key: file.key,
+      name: file.name,
+      project: project.name,
+      last_modified: file.last_modified,
+    })
+  );
+}
+
+// Every file of every project of the team, a few projects at a time
+async function fetchTeamFiles() {
+  const { projects } = await fetchFigma(
+    `teams/${figmaTeam}/projects`,
+    "fetchTeamFiles"
+  );
+  const teamFiles = [];
+  for (let i = 0; i < projects.length; i += MAX_CONCURRENT_PROJECTS) {
+    const projectFiles = await Promise.all(
+      projects.slice(i, i + MAX_CONCURRENT_PROJECTS).map(fetchProjectFiles)
+    );
+    teamFiles.push(...projectFiles.flat());
   }
+  return teamFiles;
+}
 
+// Names of the configured files, the team's files are listed with theirs
+async function fetchConfiguredFiles() {
+  return Promise.all(
+    figmaFiles.map(async (fileKey) => {
+      const file = await fetchFigma(
+        `files/${fileKey}?depth=1`,
+        "fetchConfiguredFiles"
+      );
+      return projectFile({
+        key: fileKey,
+        name: file.name,
+        project: null,
+        last_modified: file.lastModified,
+      });
+    })
+  );
+}
+
+async function fetchAllFiles() {
+  checkConfig();
+
+  const [configuredFiles, teamFiles] = await Promise.all([
+    fetchConfiguredFiles(),
+    figmaTeam ? fetchTeamFiles() : [],
+  ]);
+  const configuredKeys = new Set(configuredFiles.map((file) => file.key));
+  return [
+    ...configuredFiles,
+    ...teamFiles.filter((file) => !configuredKeys.has(file.key)),
+  ];
+}
+
+const fetchAllFilesWithCache = withFilterCache(
+  fetchAllFiles,
+  "figma-filter",
+  "figma-files-cache.json",
+  {
+    cachePolicy: process.env.CACHE_POLICY,
+    ttl: 60 * 60 * 1000,
+    // 2: search text
+    version: 2,
+    migrate: (files) => files.map(projectFile),
+  }
+);
+
+// Only what the filter, its operators and node links use, comments carry
+// their reactions and positions
+function projectComment(comment) {
+  return {
+    id: comment.id,
+    file_key: comment.file_key,
+    message: comment.message,
+    created_at: comment.created_at,
+    resolved_at: comment.resolved_at,
+    user: { handle: comment.user?.handle },
+    client_meta: comment.client_meta?.node_id
+      ? { node_id: comment.client_meta.node_id }
+      : null,
+    search: createSearchText(comment.message, comment.user?.handle),
+  };
+}
+
+async function fetchComments(fileKey) {
   let allComments = [];
   let after = null;
 
   do {
-    const url = new URL(`https://api.figma.com/v1/files/${figmaFile}/comments`);
+    const url = new URL(`https://api.figma.com/v1/files/${fileKey}/comments`);
     if (after) {
       url.searchParams.append("after", after);
     }
@@ -42,7 +194,7 @@ async function fetchAllComments() {
     });
 
     if (!response.ok) {
-      await logFetchResponseError(response, "fetchAllData");
+      await logFetchResponseError(response, "fetchComments");
       throw new Error("Figma API request failed");
     }
 
@@ -51,50 +203,279 @@ async function fetchAllComments() {
     after = data.pagination?.after;
   } while (after);
 
-  return allComments;
+  // Comments are cached per file but searched together
+  return allComments.map((comment) =>
+    projectComment({ ...comment, file_key: fileKey })
+  );
 }
 
-const fetchAllCommentsWithCache = withFilterCache(
-  fetchAllComments,
+// One cache per file, e.g. figma-cache-lOPMkYrHGieCZLRbzLyoZ5.json
+const commentsCache = withFilterCacheGroup(
+  fetchComments,
   "figma-filter",
-  "figma-cache.json",
-  { cachePolicy: process.env.CACHE_POLICY }
+  (fileKey) => `figma-cache-${fileKey}.json`,
+  {
+    cachePolicy: process.env.CACHE_POLICY,
+    // Comments can be an hour old
+    ttl: 60 * 60 * 1000,
+    // 2: projected comments, version 1 cached the whole payload
+    version: 2,
+    migrate: (comments) => comments.map(projectComment),
+  }
 );
 
-async function figmaFilter(query) {
+function getCommentFileKeys(files) {
+  if (figmaFiles.length > 0) {
+    return figmaFiles;
+  }
+  return [...files]
+    .sort((a, b) => new Date(b.last_modified) - new Date(a.last_modified))
+    .slice(0, MAX_TEAM_COMMENT_FILES)
+    .map((file) => file.key);
+}
+
+async function fetchAllComments() {
+  checkConfig();
+  let files = [];
+  if (figmaFiles.length === 0) {
+    // The file list is synced before the comments (see getFigmaCacheTargets)
+    files = readCachedFiles();
+    if (files.length === 0) {
+      files = await fetchTeamFiles();
+    }
+  }
+  const fileKeys = getCommentFileKeys(files);
+  const comments = await Promise.all(fileKeys.map(fetchComments));
+  return comments.flat();
+}
+
+function readCachedFiles() {
+  return (
+    readFromCache(
+      fetchAllFilesWithCache.cacheFile,
+      fetchAllFilesWithCache.schema
+    ) || []
+  );
+}
+
+function readCachedComments() {
+  return readCacheGroup(commentsCache, getCommentFileKeys(readCachedFiles()));
+}
+
+// Cache targets for background refreshes, the file list first
+function getFigmaCacheTargets() {
+  return [
+    {
+      cacheFile: fetchAllFilesWithCache.cacheFile,
+      fetch: fetchAllFiles,
+      ttl: fetchAllFilesWithCache.ttl,
+      schema: fetchAllFilesWithCache.schema,
+    },
+    ...getCacheGroupTargets(
+      commentsCache,
+      getCommentFileKeys(readCachedFiles())
+    ),
+  ];
+}
+
+function getFileUrl(fileKey) {
+  return `https://www.figma.com/file/${fileKey}`;
+}
+
+function getNodeUrl(fileKey, nodeId) {
+  return `https://www.figma.com/file/${fileKey}?node-id=${nodeId}`;
+}
+
+// Query operators, e.g. `is:open author:me created:<7d` for comments and
+// `project:checkout updated:<7d` for files
+const commentOperators = {
+  is: enumOperator("is", {
+    open: (comment) => comment.resolved_at == null,
+    resolved: (comment) => comment.resolved_at != null,
+  }),
+  author: personOperator("author", (comment) => [comment.user?.handle]),
+  created: dateOperator("created", (comment) => comment.created_at),
+};
+
+const fileOperators = {
+  project: textOperator("project", (file) => file.project),
+  updated: dateOperator("updated", (file) => file.last_modified),
+};
+
+const figmaOperators = { ...commentOperators, ...fileOperators };
+
+function createCommentItem(comment, fileName, titlePrefix) {
+  const fileKey = comment.file_key;
+  const url = getNodeUrl(fileKey, comment.client_meta?.node_id);
+  return createFilterItem({
+    title: [titlePrefix, getEmoji(comment.resolved_at != null), comment.message]
+      .filter(Boolean)
+      .join(" "),
+    search: comment.search,
+    subtitle: formatSubtitle(comment.user.handle, comment.created_at, [
+      fileName,
+    ]),
+    arg: url,
+    iconPath: "./src/icons/figma.png",
+    source: "fg",
+    date: new Date(comment.created_at),
+    uid: `figma-comment-${comment.id}`,
+    mods: createItemMods({
+      title: comment.message,
+      url,
+    }),
+  });
+}
+
+function createFileItem(file, titlePrefix) {
+  const url = getFileUrl(file.key);
+  return createFilterItem({
+    title: [titlePrefix, "🎨", file.name].filter(Boolean).join(" "),
+    search: file.search,
+    subtitle: formatSubtitle(file.project || "Figma file", file.last_modified),
+    arg: url,
+    iconPath: "./src/icons/figma.png",
+    source: "fg",
+    date: new Date(file.last_modified),
+    uid: `figma-file-${file.key}`,
+    mods: createItemMods({
+      title: file.name,
+      url,
+    }),
+  });
+}
+
+function getFileNames(files) {
+  return new Map(files.map((file) => [file.key, file.name]));
+}
+
+// Pasted node links resolve to the comments on that node, node ids read
+// "1-2" in design links and "1:2" in the API
+function recognizeNode(query) {
+  const match = query.match(
+    /figma\.com\/(?:file|design)\/(?<fileKey>\w+)\/?[^?\s]*\?(?:[^\s]*&)?node-id=(?<nodeId>[\w%:-]+)/
+  );
+  if (!match) {
+    return null;
+  }
+  const nodeId = decodeURIComponent(match.groups.nodeId).replace("-", ":");
+  return { fileKey: match.groups.fileKey, nodeId };
+}
+
+// The account the token belongs to, for `aa doctor`
+async function checkAuth() {
+  const response = await fetch("https://api.figma.com/v1/me", {
+    headers: {
+      "X-Figma-Token": figmaToken,
+    },
+  });
+  if (response.status === 403) {
+    throw new Error("FIGMA_API_KEY was rejected, it may have expired");
+  }
+  if (!response.ok) {
+    await logFetchResponseError(response, "checkAuth");
+    throw new Error(`Figma API request failed (${response.status})`);
+  }
+  return (await response.json()).handle;
+}
+
+async function resolveNode({ fileKey, nodeId }) {
+  const onNode = (comment) =>
+    comment.file_key === fileKey && comment.client_meta?.node_id === nodeId;
+
+  const cached = readCachedComments().filter(onNode);
+  const comments = cached.length
+    ? cached
+    : (await fetchComments(fileKey)).filter(onNode);
+
+  if (comments.length === 0) {
+    // No comments on the node, still offer to open it
+    return [
+      createFilterItem({
+        title: `Figma node ${nodeId}`,
+        subtitle: "No comments on this node",
+        arg: getNodeUrl(fileKey, nodeId),
+        iconPath: "./src/icons/figma.png",
+        source: "fg",
+        uid: `figma-node-${fileKey}-${nodeId}`,
+      }),
+    ];
+  }
+  const fileNames = getFileNames(readCachedFiles());
+  return comments.map((comment) =>
+    createCommentItem(comment, fileNames.get(fileKey))
+  );
+}
+
+async function figmaFilter(query, cacheOptions) {
   try {
-    const allComments = await fetchAllCommentsWithCache();
+    // Without the file list comments still show, just without file names
+    const allFiles =
+      (await fetchAllFilesWithCache(cacheOptions).catch((error) => {
+        logErrorSilently(error, "figmaFilter files");
+        return null;
+      })) || [];
+    const allComments = await fetchCacheGroup(
+      commentsCache,
+      getCommentFileKeys(allFiles),
+      cacheOptions
+    );
 
-    const commentItems = allComments
-      .filter((comment) => comment.client_meta?.node_id != null)
-      .map((comment) =>
-        createFilterItem({
-          title: [
-            allComments.titlePrefix,
-            getEmoji(comment.resolved_at != null),
-            comment.message,
-          ]
-            .filter(Boolean)
-            .join(" "),
-          subtitle: formatSubtitle(comment.user.handle, comment.created_at),
-          arg: `https://www.figma.com/file/${figmaFile}?node-id=${comment.client_meta?.node_id}`,
+    const parsedQuery = parseQuery(query);
+    const unsupported = parsedQuery.operators.filter(
+      (operator) => !isOperatorSupported(figmaOperators, operator)
+    );
+    if (unsupported.length > 0) {
+      return [
+        createQueryHintItem({
+          unsupported,
+          usage: formatOperatorUsage(figmaOperators),
           iconPath: "./src/icons/figma.png",
           source: "fg",
-          date: new Date(comment.created_at),
-          // uid: `figma-comment-${comment.id}`,
-        })
+        }),
+      ];
+    }
+    // Comment and file operators differ, each narrows its own results
+    const { records: comments } = applyOperators(
+      allComments,
+      parsedQuery,
+      commentOperators
+    );
+    const { records: files } = applyOperators(
+      allFiles,
+      parsedQuery,
+      fileOperators
+    );
+
+    const fileNames = getFileNames(allFiles);
+    const commentItems = comments
+      .filter((comment) => comment.client_meta?.node_id != null)
+      .map((comment) =>
+        createCommentItem(
+          comment,
+          fileNames.get(comment.file_key),
+          allComments.titlePrefix
+        )
       );
+    const fileItems = files.map((file) =>
+      createFileItem(file, allFiles.titlePrefix)
+    );
 
     const navigationItem = createNavigationItem({
-      title: "Figma comments",
-      arg: `https://www.figma.com/file/${figmaFile}`,
+      title: "Figma files",
+      arg: figmaTeam
+        ? `https://www.figma.com/files/team/${figmaTeam}`
+        : "https://www.figma.com/files/recents-and-sharing",
       iconPath: "./src/icons/figma.png",
       source: "fg",
-      // uid: "figma-navigation",
+      uid: "figma-navigation",
     });
 
-    const allItems = wrapFilterResults(commentItems, navigationItem);
-    return filterByWords(allItems, query);
+    const allItems = wrapFilterResults(
+      [...commentItems, ...fileItems],
+      navigationItem
+    );
+    return filterByQuery(allItems, parsedQuery);
   } catch (error) {
     logError(error, "figmaFilter");
     error.scriptFilterItem = createErrorItem({
@@ -103,7 +484,7 @@ async function figmaFilter(query) {
       arg: "https://www.figma.com/developers/api#access-tokens",
       iconPath: "./src/icons/figma.png",
       source: "fg",
-      // uid: "figma-error",
+      uid: "figma-error",
     });
     throw error;
   }
@@ -111,6 +492,22 @@ async function figmaFilter(query) {
 
 module.exports = figmaFilter;
 module.exports.fetchAllData = fetchAllComments;
+module.exports.source = {
+  prefix: "fg",
+  name: "Figma files and comments",
+  description: "Search Figma files and comments",
+  iconPath: "./src/icons/figma.png",
+  requiredEnv: ["FIGMA_API_KEY", ["FIGMA_FILES", "FIGMA_FILE", "FIGMA_TEAM"]],
+  credentialEnv: ["FIGMA_API_KEY"],
+  caches: getFigmaCacheTargets,
+  readCache: readCachedComments,
+  fetchAllData: fetchAllComments,
+  recognize: recognizeNode,
+  resolve: resolveNode,
+  operators: figmaOperators,
+  checkAuth,
+  setupUrl: "https://www.figma.com/settings",
+};
 
 if (require.main === module) {
   const query = process.argv.slice(2).join(" ");
@@ -1,46 +1,111 @@
-const { logError, logErrorSilently } = require("./error-logger");
+const { logErrorSilently } = require("./error-logger");
 
 const {
-  createLogger,
-  redirectConsoleToLog,
   spawnAsyncCache,
   writeToCache,
   readFromCache,
-  shouldThrottle,
+  getCacheModifiedTime,
 } = require("./data-cache-async");
+const { isLocked } = require("./lockfile");
 
 const isOffline = process.env.OFFLINE === "1";
 
+// How long a cache counts as fresh under stale-while-revalidate, sources pass
+// their own `ttl`
+const DEFAULT_TTL = 5 * 60 * 1000; // ms
+
+// Results served from the cache because fetching failed get their titles
+// prefixed (the filters read `titlePrefix` off the results)
+const STALE_TITLE_PREFIX = "⚠️";
+
+// Filter modules whose fetch failed during this search, { error, cachedAt }
+// with cachedAt null when nothing was cached. The root filter reports them.
+const fetchFailures = new Map();
+
+function recordFetchFailure(filterModule, error, cacheFile) {
+  // Several caches of one source failing make one report
+  if (!fetchFailures.has(filterModule)) {
+    fetchFailures.set(filterModule, {
+      error,
+      cachedAt: cacheFile ? getCacheModifiedTime(cacheFile) : null,
+    });
+  }
+}
+
+// The failures recorded since the last call
+function takeFetchFailures() {
+  const failures = new Map(fetchFailures);
+  fetchFailures.clear();
+  return failures;
+}
+
+function markStale(cached) {
+  // A copy, the search daemon keeps the cached array itself
+  const stale = [...cached];
+  stale.titlePrefix = STALE_TITLE_PREFIX;
+  return stale;
+}
+
 function withFilterCache(
   filterFn,
   filterModule,
   cacheFile,
-  { cachePolicy = "offline-only" } = {}
+  { cachePolicy = "offline-only", ttl = DEFAULT_TTL, version, migrate } = {}
 ) {
-  const filterWithCache = async () => {
+  // See readFromCache, the envelope records the cache's source and version
+  const schema = { source: filterModule, version, migrate };
+
+  // Callers can override the policy per call, e.g. the root filter reads the
+  // cache of a source that ran past its deadline without spawning a refresh
+  const filterWithCache = async ({
+    cachePolicy: policy = cachePolicy,
+    revalidate = true,
+  } = {}) => {
     try {
       if (isOffline) {
         throw new Error("Offline mode");
       }
 
-      if (cachePolicy === "cache-only") {
+      if (policy === "cache-only") {
         // cache policy cache only means we always eagerly use the cache
         // thus returning stale results
-        const staleResult = readFromCache(cacheFile);
-        filterCacheAsync(filterModule, cacheFile);
+        const staleResult = readFromCache(cacheFile, schema);
+        if (revalidate) {
+          filterCacheAsync(filterModule, cacheFile);
+        }
         return staleResult;
-      } else if (cachePolicy === "offline-only") {
+      } else if (policy === "offline-only") {
         // cache policy offline only means we will only use the cache when offline
         const result = await filterFn();
-        writeToCache(cacheFile, result);
+        writeToCache(cacheFile, result, schema);
         return result;
+      } else if (policy === "stale-while-revalidate") {
+        // Fresh caches are served as is, expired ones are served while a
+        // background refresh updates them. Only without a cache do we wait
+        // on the network.
+        const cached = readFromCache(cacheFile, schema);
+        if (!cached) {
+          const result = await filterFn();
+          writeToCache(cacheFile, result, schema);
+          return result;
+        }
+        const age = Date.now() - getCacheModifiedTime(cacheFile);
+        if (age > ttl && revalidate) {
+          filterCacheAsync(filterModule, cacheFile);
+        }
+        return cached;
       }
     } catch (error) {
       // If offline/error, try to load from cache
-      const cached = readFromCache(cacheFile);
+      const cached = readFromCache(cacheFile, schema);
       if (cached) {
         logErrorSilently(error, `${filterModule} offline/error`);
-        return cached;
+        // Offline mode is asked for, not a failure
+        if (isOffline) {
+          return cached;
+        }
+        recordFetchFailure(filterModule, error, cacheFile);
+        return markStale(cached);
       } else {
         throw error;
       }
@@ -48,63 +113,125 @@ function withFilterCache(
   };
 
   filterWithCache.filter = filterFn;
+  filterWithCache.cacheFile = cacheFile;
+  filterWithCache.ttl = ttl;
+  filterWithCache.schema = schema;
 
   return filterWithCache;
 }
 
+// One cache per key (repository, file, ...) of the same fetch, e.g.
+//   const pullsCache = withFilterCacheGroup(fetchRepoPulls, "github-filter",
+//     (repo) => `github-cache-${repo}.json`);
+//   const pulls = await fetchCacheGroup(pullsCache, repos);
+function withFilterCacheGroup(fetchFn, filterModule, getCacheFile, options) {
+  const caches = new Map();
+  const cacheGroup = (key) => {
+    if (!caches.has(key)) {
+      caches.set(
+        key,
+        withFilterCache(
+          () => fetchFn(key),
+          filterModule,
+          getCacheFile(key),
+          options
+        )
+      );
+    }
+    return caches.get(key);
+  };
+  cacheGroup.getCacheFile = getCacheFile;
+  cacheGroup.filter = fetchFn;
+  cacheGroup.ttl = options?.ttl;
+  cacheGroup.schema = {
+    source: filterModule,
+    version: options?.version,
+    migrate: options?.migrate,
+  };
+  return cacheGroup;
+}
+
+// Fetch the keys concurrently. A key that fails (and has no cache) doesn't
+// hide the others, unless they all fail.
+async function fetchCacheGroup(cacheGroup, keys, cacheOptions) {
+  const results = await Promise.allSettled(
+    keys.map((key) => cacheGroup(key)(cacheOptions))
+  );
+
+  const failures = results.filter((result) => result.status === "rejected");
+  if (failures.length > 0 && failures.length === results.length) {
+    throw failures[0].reason;
+  }
+  failures.forEach((failure) => {
+    logErrorSilently(failure.reason, "fetchCacheGroup");
+    recordFetchFailure(cacheGroup.schema.source, failure.reason, null);
+  });
+
+  const values = results.flatMap((result) =>
+    result.status === "fulfilled" ? [result.value || []] : []
+  );
+  const items = values.flat();
+  // One stale key marks them all, the titles can't tell them apart
+  return values.some((value) => value.titlePrefix) ? markStale(items) : items;
+}
+
+function readCacheGroup(cacheGroup, keys) {
+  return keys.flatMap(
+    (key) =>
+      readFromCache(cacheGroup.getCacheFile(key), cacheGroup.schema) || []
+  );
+}
+
+// Cache targets for background refreshes (see source-registry.js)
+function getCacheGroupTargets(cacheGroup, keys) {
+  return keys.map((key) => ({
+    cacheFile: cacheGroup.getCacheFile(key),
+    fetch: () => cacheGroup.filter(key),
+    ttl: cacheGroup.ttl,
+    schema: cacheGroup.schema,
+  }));
+}
+
+// Refreshes asked for during this run, by "<filter module>:<cache file>".
+// They're spawned together, one sync coordinator for all of them.
+const pendingRefreshes = new Set();
+let exitHookRegistered = false;
+
+function spawnPendingRefreshes() {
+  if (pendingRefreshes.size === 0) {
+    return;
+  }
+  spawnAsyncCache("sync-coordinator.js", [...pendingRefreshes]);
+  pendingRefreshes.clear();
+}
+
 function filterCacheAsync(filterModule, cacheFile) {
-  spawnAsyncCache("filter-cache-async.js", [filterModule, cacheFile]);
+  // A refresh of this cache is already running (typing quickly)
+  if (isLocked(cacheFile)) {
+    return;
+  }
+  if (pendingRefreshes.size === 0) {
+    // The sources searched together ask within the same tick. The script
+    // filter exits as soon as its output is written, possibly before that
+    // tick is over, so on exit too.
+    setImmediate(spawnPendingRefreshes);
+    // Once per process, the search daemon searches many times
+    if (!exitHookRegistered) {
+      process.on("exit", spawnPendingRefreshes);
+      exitHookRegistered = true;
+    }
+  }
+  pendingRefreshes.add(`${filterModule}:${cacheFile}`);
 }
 
 module.exports = {
   withFilterCache,
+  withFilterCacheGroup,
+  fetchCacheGroup,
+  readCacheGroup,
+  getCacheGroupTargets,
   filterCacheAsync,
+  takeFetchFailures,
   writeToCache,
   readFromCache,
 };
-
-if (require.main === module) {
-  const filterModuleName = process.argv[2];
-  const filterCacheName = process.argv[3];
-
-  const { fetchAllData } = require(`./${filterModuleName}`);
-
-  const logPrefix = `[${filterModuleName}] `;
-  const log = createLogger("filter-cache-async.log");
-
-  // Redirect console output to log file
-  redirectConsoleToLog(log, logPrefix);
-
-  // Check if cache file exists and was modified recently
-  const THROTTLE_TIME = 15 * 1000; // ms
-
-  if (shouldThrottle(filterCacheName, THROTTLE_TIME)) {
-    const path = require("path");
-    const fs = require("fs");
-    const userDataDir = path.join(process.cwd(), "user-data");
-    const cacheFilePath = path.join(userDataDir, filterCacheName);
-    const timeSinceModified =
-      Date.now() - fs.statSync(cacheFilePath).mtime.getTime();
-    log(
-      `Skipping fetch - cache file modified ${Math.round(
-        timeSinceModified / 1000
-      )}s ago (throttle: ${THROTTLE_TIME / 1000}s)`,
-      logPrefix
-    );
-    return;
-  }
-
-  log("Fetch", logPrefix);
-  const start = Date.now();
-  fetchAllData()
-    .then((result) => {
-      const end = Date.now();
-      log(`Fetch success, caching to disk in ${end - start}ms`, logPrefix);
-      writeToCache(filterCacheName, result);
-      log("Caching to disk success", logPrefix);
-    })
-    .catch((error) => {
-      log(`Fetch failure: ${error.message}`, logPrefix);
-      logError(error, `${filterModuleName} fetch failure`, logPrefix);
-    });
-}
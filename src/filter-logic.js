@@ -1,4 +1,5 @@
 const { logError } = require("./error-logger");
+const { scoreItem } = require("./search-ranking");
 
 // Common date formatting function used across all filters
 function formatRelativeDate(date, includeTime = false) {
@@ -46,10 +47,12 @@ function formatRelativeDate(date, includeTime = false) {
 function formatSubtitle(user, date, additionalInfo = [], includeTime = false) {
   const parts = [" ⮑", user, "•", formatRelativeDate(date, includeTime)];
 
-  // Insert additional info before the date
-  if (additionalInfo.length > 0) {
-    parts.splice(-2, 0, ...additionalInfo, "•");
-  }
+  // Insert additional info before the date, each part bullet separated
+  parts.splice(
+    -2,
+    0,
+    ...additionalInfo.filter(Boolean).flatMap((info) => ["•", info])
+  );
 
   return parts.filter(Boolean).join(" ");
 }
@@ -59,6 +62,15 @@ function sortByDateDescending(items) {
   return items.sort((a, b) => new Date(b.date) - new Date(a.date));
 }
 
+// Relevance ordering (best match first), newest first among equal scores.
+// Items without a score (no query) keep the plain date ordering.
+function sortByRelevance(items) {
+  return items.sort(
+    (a, b) =>
+      (b.score ?? 0) - (a.score ?? 0) || new Date(b.date) - new Date(a.date)
+  );
+}
+
 // Common item creation helper
 function createFilterItem({
   title,
@@ -68,7 +80,17 @@ function createFilterItem({
   source,
   date = new Date(),
   uid,
+  mods,
+  text,
+  search,
 }) {
+  // Passed on to the workflow when the item is actioned, the Open URL action
+  // reads `url` and the usage store reads the uid and source
+  const variables = {
+    url: arg,
+    ...(uid && { itemUid: uid, itemSource: source }),
+  };
+
   return {
     title,
     subtitle,
@@ -79,9 +101,60 @@ function createFilterItem({
     source,
     date,
     uid,
+    variables,
+    mods: mods && addModVariables(mods, variables),
+    text: text ?? { copy: arg, largetype: title },
+    ...(search && { search }),
   };
 }
 
+// Modifiers don't inherit the item's variables, copy them over
+function addModVariables(mods, variables) {
+  return Object.fromEntries(
+    Object.entries(mods).map(([key, mod]) => [
+      key,
+      { ...mod, variables: { ...variables, ...mod.variables } },
+    ])
+  );
+}
+
+function formatMarkdownLink(text, url) {
+  return `[${text.replace(/([[\]])/g, "\\$1")}](${url})`;
+}
+
+// Common modifier actions, each source passes what it has:
+//   ⌘ copies the identifier (or the link), ⌥ copies a markdown link,
+//   ⌃ copies the branch name, ⇧ opens the Vercel preview
+function createItemMods({ id, title, url, branch, previewUrl }) {
+  const mods = {};
+
+  if (id) {
+    mods.cmd = { arg: id, subtitle: `Copy ${id}` };
+  } else if (url) {
+    mods.cmd = { arg: url, subtitle: "Copy link" };
+  }
+  if (url) {
+    // Commit messages and comments can span lines, links can't
+    const linkText = [id, title?.split("\n")[0]].filter(Boolean).join(" ");
+    mods.alt = {
+      arg: formatMarkdownLink(linkText || url, url),
+      subtitle: "Copy markdown link",
+    };
+  }
+  if (branch) {
+    mods.ctrl = { arg: branch, subtitle: `Copy branch ${branch}` };
+  }
+  if (previewUrl) {
+    mods.shift = {
+      arg: previewUrl,
+      subtitle: `Open preview ${previewUrl}`,
+      variables: { url: previewUrl },
+    };
+  }
+
+  return mods;
+}
+
 // Common error item creation
 function createErrorItem({ title, subtitle, arg, iconPath, source, uid }) {
   return createFilterItem({
@@ -95,12 +168,19 @@ function createErrorItem({ title, subtitle, arg, iconPath, source, uid }) {
   });
 }
 
+// How long a fetch took, e.g. "850ms" or "2.4s"
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
 // Common main module execution pattern - this function should be called from the main module
 function executeFilterModule(filterWithCache, errorItem) {
   filterWithCache()
     .then((items) => {
       console.log(
         JSON.stringify({
+          // Items carry uids for the usage store, keep Alfred from reordering
+          skipknowledge: true,
           items,
         })
       );
@@ -144,9 +224,9 @@ function createNavigationItem({
   });
 }
 
-// Common filter wrapper that adds navigation item and sorts
-function wrapFilterResults(items, navigationItem) {
-  return sortByDateDescending(items.concat([navigationItem]));
+// Common filter wrapper that adds navigation items and sorts
+function wrapFilterResults(items, ...navigationItems) {
+  return sortByDateDescending(items.concat(navigationItems));
 }
 
 // Environment-aware emoji fallback
@@ -154,39 +234,92 @@ function getEmojiOrFallback(emoji, fallback) {
   return process.env.NODE_ENV === "production" ? "❓" : emoji || fallback;
 }
 
-// Common query filtering function - matches words in any order
-function filterByWords(items, query) {
-  if (!query || query.trim() === "") {
-    return items;
-  }
+// Lowercase text a cached record is found by, stored with the record so
+// searching doesn't lowercase every field on every keystroke
+function createSearchText(...values) {
+  return values.filter(Boolean).join(" ").toLowerCase();
+}
 
-  const queryWords = query
+// Common query filtering function - every word has to match, results are
+// scored (prefix, word boundary, acronym and typo matches) and ranked
+function filterByWords(items, query) {
+  const words = (query ?? "")
     .toLowerCase()
     .trim()
     .split(/\s+/)
     .filter((word) => word.length > 0);
 
-  if (queryWords.length === 0) {
+  return filterByQuery(items, { words, phrases: [], excluded: [] });
+}
+
+// Text search for a parsed query (see query-parser.js): words are scored as
+// above, quoted phrases have to appear as is and excluded words must not
+function filterByQuery(items, { words, phrases, excluded }) {
+  if (words.length === 0 && phrases.length === 0 && excluded.length === 0) {
     return items;
   }
 
-  return items.filter((item) => {
-    const searchText = `${item.title} ${item.subtitle}`.toLowerCase();
+  // Items of cached records carry their precomputed search text
+  const getText = (item) =>
+    `${item.search ?? (item.title || "").toLowerCase()}\n${(
+      item.subtitle || ""
+    ).toLowerCase()}`;
+  const queryWords = [
+    ...words,
+    ...phrases.flatMap((phrase) => phrase.split(/\s+/)),
+  ];
 
-    // Check if all query words exist somewhere in the search text
-    return queryWords.every((word) => searchText.includes(word));
-  });
+  const matchingItems = items
+    .filter((item) => {
+      const text = getText(item);
+      return (
+        phrases.every((phrase) => text.includes(phrase)) &&
+        !excluded.some((word) => text.includes(word))
+      );
+    })
+    .map((item) =>
+      queryWords.length > 0
+        ? { ...item, score: scoreItem(item, queryWords) }
+        : item
+    )
+    .filter((item) => queryWords.length === 0 || item.score > 0);
+
+  return queryWords.length > 0 ? sortByRelevance(matchingItems) : matchingItems;
+}
+
+// Shown when a query uses operators the source doesn't support, rather than
+// silently matching nothing. `queryHint` lets the root filter dedupe them.
+function createQueryHintItem({ unsupported, usage, iconPath, source }) {
+  const raw = unsupported.map((operator) => operator.raw).join(" ");
+  return {
+    ...createFilterItem({
+      title: `Unsupported filter ${raw}`,
+      subtitle: usage ? `Try ${usage}` : "This source has no filters",
+      iconPath,
+      source,
+      uid: `${source}-query-hint`,
+    }),
+    valid: false,
+    queryHint: raw,
+  };
 }
 
 module.exports = {
   formatRelativeDate,
+  formatDuration,
   formatSubtitle,
   sortByDateDescending,
+  sortByRelevance,
   createFilterItem,
+  createItemMods,
+  formatMarkdownLink,
   createErrorItem,
   executeFilterModule,
   createNavigationItem,
   wrapFilterResults,
   getEmojiOrFallback,
+  createSearchText,
   filterByWords,
+  filterByQuery,
+  createQueryHintItem,
 };
@@ -1,18 +1,55 @@
 const { logError, logFetchResponseError } = require("./error-logger");
-const withFilterCache = require("./filter-cache-async").withFilterCache;
+const {
+  withFilterCache,
+  withFilterCacheGroup,
+  fetchCacheGroup,
+  readCacheGroup,
+  getCacheGroupTargets,
+  readFromCache,
+} = require("./filter-cache-async");
+const { readSyncState, writeSyncState } = require("./data-cache-async");
 const {
   formatSubtitle,
   createFilterItem,
+  createItemMods,
   createErrorItem,
   createNavigationItem,
   wrapFilterResults,
   getEmojiOrFallback,
   executeFilterModule,
-  filterByWords,
+  filterByQuery,
+  createQueryHintItem,
+  createSearchText,
 } = require("./filter-logic");
+const {
+  getPreviewUrl,
+  getPullRelations,
+  getPullState,
+} = require("./source-linker");
+const {
+  parseQuery,
+  applyOperators,
+  formatOperatorUsage,
+  enumOperator,
+  personOperator,
+  textOperator,
+  dateOperator,
+} = require("./query-parser");
 
 const githubToken = process.env.GITHUB_API_KEY;
-const githubRepo = process.env.GITHUB_REPO;
+// Repositories to search, "owner/a, owner/b" (GITHUB_REPO is the single repo
+// setting this replaces). Without any, every recently pushed GITHUB_ORG repo.
+const githubRepos = (process.env.GITHUB_REPOS || process.env.GITHUB_REPO || "")
+  .split(",")
+  .map((repo) => repo.trim())
+  .filter(Boolean);
+const githubOrg = process.env.GITHUB_ORG;
+
+// Org-wide search only covers the most recently pushed repositories
+const MAX_ORG_REPOS = 20;
+
+// Incremental syncs miss deleted pull requests, resync everything daily
+const FULL_SYNC_INTERVAL = 24 * 60 * 60 * 1000;
 
 function getEmoji(state, mergedAt) {
   switch (state) {
@@ -26,29 +63,113 @@ function getEmoji(state, mergedAt) {
   }
 }
 
-async function fetchAllPulls() {
+function getHeaders() {
+  return {
+    Accept: "application/vnd.github+json",
+    Authorization: `Bearer ${githubToken}`,
+    "X-GitHub-Api-Version": "2022-11-28",
+  };
+}
+
+function checkConfig() {
   if (!githubToken) {
     throw new Error("Missing GITHUB_API_KEY env var");
   }
 
-  if (!githubRepo) {
-    throw new Error("Missing GITHUB_REPO env var");
+  if (githubRepos.length === 0 && !githubOrg) {
+    throw new Error("Missing GITHUB_REPOS, GITHUB_REPO or GITHUB_ORG env var");
+  }
+}
+
+async function fetchOrgRepos() {
+  checkConfig();
+
+  const response = await fetch(
+    `https://api.github.com/orgs/${githubOrg}/repos?sort=pushed&direction=desc&per_page=100`,
+    { headers: getHeaders() }
+  );
+
+  if (!response.ok) {
+    await logFetchResponseError(response, "fetchOrgRepos");
+    throw new Error("GitHub API request failed");
+  }
+
+  const repos = await response.json();
+  return repos
+    .filter((repo) => !repo.archived)
+    .slice(0, MAX_ORG_REPOS)
+    .map(({ full_name, pushed_at }) => ({ full_name, pushed_at }));
+}
+
+const fetchOrgReposWithCache = withFilterCache(
+  fetchOrgRepos,
+  "github-filter",
+  "github-repos-cache.json",
+  { cachePolicy: process.env.CACHE_POLICY, ttl: 24 * 60 * 60 * 1000 }
+);
+
+async function getRepos(cacheOptions) {
+  checkConfig();
+  if (githubRepos.length > 0) {
+    return githubRepos;
+  }
+  const orgRepos = (await fetchOrgReposWithCache(cacheOptions)) || [];
+  return orgRepos.map((repo) => repo.full_name);
+}
+
+// Repositories we have (or will have) caches for, without fetching anything
+function getKnownRepos() {
+  if (githubRepos.length > 0) {
+    return githubRepos;
   }
+  const orgRepos =
+    readFromCache(
+      fetchOrgReposWithCache.cacheFile,
+      fetchOrgReposWithCache.schema
+    ) || [];
+  return orgRepos.map((repo) => repo.full_name);
+}
+
+function getPullRepo(pr) {
+  return pr.base?.repo?.full_name ?? githubRepos[0];
+}
+
+// Only what the filter, its operators and the linker use, the REST payload is
+// mostly repository and user objects
+function projectPull(pr) {
+  return {
+    number: pr.number,
+    title: pr.title,
+    state: pr.state,
+    draft: pr.draft,
+    merged_at: pr.merged_at,
+    created_at: pr.created_at,
+    updated_at: pr.updated_at,
+    user: { login: pr.user?.login },
+    assignees: (pr.assignees || []).map(({ login }) => ({ login })),
+    head: { ref: pr.head.ref },
+    base: { repo: { full_name: pr.base?.repo?.full_name } },
+    _links: { html: { href: pr._links.html.href } },
+    search: createSearchText(
+      pr.head.ref,
+      pr.title,
+      `#${pr.number}`,
+      pr.user?.login
+    ),
+  };
+}
 
+// Pages of pull requests, most recently updated first. With `since` (an
+// updated_at), stops at the first pull request that hasn't changed since.
+async function fetchPullPages(repo, since) {
   const pulls = [];
   let page = 1;
   let hasMore = true;
 
   while (hasMore) {
     const response = await fetch(
-      `https://api.github.com/repos/${githubRepo}/pulls?state=all&per_page=100&page=${page}`,
-      {
-        headers: {
-          Accept: "application/vnd.github+json",
-          Authorization: `Bearer ${githubToken}`,
-          "X-GitHub-Api-Version": "2022-11-28",
-        },
-      }
+      `https://api.github.com/repos/${repo}/pulls?state=all&sort=updated&direction=desc&per_page=100&page=${page}`,
+      { headers: getHeaders() }
     );
 
     if (!response.ok) {
@@ -57,55 +178,270 @@ async function fetchAllPulls() {
     }
 
     const pageData = await response.json();
-    pulls.push(...pageData);
+    const changed = since
+      ? pageData.filter((pr) => pr.updated_at >= since)
+      : pageData;
+    pulls.push(...changed.map(projectPull));
 
-    hasMore = pageData.length === 100;
+    hasMore = pageData.length === 100 && changed.length === pageData.length;
     page++;
   }
 
   return pulls;
 }
 
-const fetchAllPullsWithCache = withFilterCache(
-  fetchAllPulls,
+// Incremental sync: only the pull requests updated since the newest one in
+// the cache, merged into it. Deleted pull requests (and repos transferred
+// away) only go away with the periodic full resync.
+async function fetchRepoPulls(repo) {
+  checkConfig();
+
+  const syncKey = `github:${repo}`;
+  const cached = readFromCache(
+    pullsCache.getCacheFile(repo),
+    pullsCache.schema
+  );
+  const lastFullSync = readSyncState(syncKey)?.fullSyncAt ?? 0;
+  if (!cached || Date.now() - lastFullSync > FULL_SYNC_INTERVAL) {
+    const pulls = await fetchPullPages(repo);
+    writeSyncState(syncKey, { fullSyncAt: Date.now() });
+    return pulls;
+  }
+
+  const since = cached.reduce(
+    (latest, pr) => (pr.updated_at > latest ? pr.updated_at : latest),
+    ""
+  );
+  const changed = await fetchPullPages(repo, since);
+
+  const pullsByNumber = new Map(cached.map((pr) => [pr.number, pr]));
+  changed.forEach((pr) => pullsByNumber.set(pr.number, pr));
+  return [...pullsByNumber.values()].sort((a, b) =>
+    b.updated_at.localeCompare(a.updated_at)
+  );
+}
+
+async function fetchAllPulls() {
+  checkConfig();
+  const repos =
+    githubRepos.length > 0
+      ? githubRepos
+      : (await fetchOrgRepos()).map((repo) => repo.full_name);
+  const pulls = await Promise.all(repos.map(fetchRepoPulls));
+  return pulls.flat();
+}
+
+// One cache per repository, e.g. github-cache-fastview-ai-sparrow-ml.json
+const pullsCache = withFilterCacheGroup(
+  fetchRepoPulls,
   "github-filter",
-  "github-cache.json",
-  { cachePolicy: process.env.CACHE_POLICY }
+  (repo) => `github-cache-${repo.replace("/", "-")}.json`,
+  {
+    cachePolicy: process.env.CACHE_POLICY,
+    // Incremental syncs are a single request
+    ttl: 60 * 1000,
+    // 2: projected pull requests, version 1 cached the whole payload
+    version: 2,
+    migrate: (pulls) => pulls.map(projectPull),
+  }
 );
 
-async function githubFilter(query) {
-  try {
-    const allPulls = await fetchAllPullsWithCache();
-
-    const pullItems = allPulls.map((pr) =>
-      createFilterItem({
-        title: [
-          allPulls.titlePrefix,
-          getEmoji(pr.state, pr.merged_at),
-          pr.head.ref,
-          pr.title,
+async function fetchAllPullsWithCache(cacheOptions) {
+  const repos = await getRepos(cacheOptions);
+  return fetchCacheGroup(pullsCache, repos, cacheOptions);
+}
+
+function readCachedPulls() {
+  return readCacheGroup(pullsCache, getKnownRepos());
+}
+
+// Cache targets for background refreshes, the org's repository list first
+function getPullsCacheTargets() {
+  return [
+    ...(githubRepos.length === 0 && githubOrg
+      ? [
+          {
+            cacheFile: fetchOrgReposWithCache.cacheFile,
+            fetch: fetchOrgRepos,
+            ttl: fetchOrgReposWithCache.ttl,
+            schema: fetchOrgReposWithCache.schema,
+          },
         ]
-          .filter(Boolean)
-          .join(" "),
-        subtitle: formatSubtitle(pr.user.login, pr.updated_at),
-        arg: pr._links.html.href,
+      : []),
+    ...getCacheGroupTargets(pullsCache, getKnownRepos()),
+  ];
+}
+
+const pullStates = ["open", "draft", "merged", "closed"];
+
+// Query operators, e.g. `is:merged author:me updated:<7d`
+const pullOperators = {
+  is: enumOperator("is", {
+    open: (pr) => pr.state === "open",
+    closed: (pr) => pr.state === "closed",
+    merged: (pr) => !!pr.merged_at,
+    draft: (pr) => !!pr.draft,
+  }),
+  state: enumOperator(
+    "state",
+    Object.fromEntries(
+      pullStates.map((state) => [state, (pr) => getPullState(pr) === state])
+    )
+  ),
+  author: personOperator("author", (pr) => [pr.user?.login]),
+  assignee: personOperator("assignee", (pr) =>
+    (pr.assignees || []).map((assignee) => assignee.login)
+  ),
+  repo: textOperator("repo", getPullRepo),
+  branch: textOperator("branch", (pr) => pr.head.ref),
+  updated: dateOperator("updated", (pr) => pr.updated_at),
+  created: dateOperator("created", (pr) => pr.created_at),
+};
+
+function createPullItem(pr, titlePrefix) {
+  return createFilterItem({
+    title: [
+      titlePrefix,
+      getEmoji(pr.state, pr.merged_at),
+      pr.head.ref,
+      pr.title,
+    ]
+      .filter(Boolean)
+      .join(" "),
+    search: pr.search,
+    subtitle: formatSubtitle(pr.user.login, pr.updated_at, [
+      getPullRepo(pr)?.split("/")[1],
+      ...getPullRelations(pr),
+    ]),
+    arg: pr._links.html.href,
+    iconPath: "./src/icons/github.png",
+    source: "gh",
+    date: new Date(pr.updated_at),
+    uid: `github-pr-${getPullRepo(pr)}-${pr.number}`,
+    mods: createItemMods({
+      id: `#${pr.number}`,
+      title: pr.title,
+      url: pr._links.html.href,
+      branch: pr.head.ref,
+      previewUrl: getPreviewUrl(pr.head.ref),
+    }),
+  });
+}
+
+// Pasted PR links and "#123" (in any of our repositories) resolve straight
+// to the pull request
+function recognizePull(query) {
+  const url = query.match(
+    /github\.com\/(?<repo>[\w.-]+\/[\w.-]+)\/pull\/(?<number>\d+)/
+  );
+  if (url) {
+    return { repo: url.groups.repo, number: Number(url.groups.number) };
+  }
+  const number = query.match(/^#(?<number>\d+)$/);
+  if (number) {
+    return { repo: null, number: Number(number.groups.number) };
+  }
+  return null;
+}
+
+async function fetchPull(repo, number) {
+  const response = await fetch(
+    `https://api.github.com/repos/${repo}/pulls/${number}`,
+    { headers: getHeaders() }
+  );
+
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    await logFetchResponseError(response, "fetchPull");
+    throw new Error("GitHub API request failed");
+  }
+
+  return projectPull(await response.json());
+}
+
+// The account the token belongs to, for `aa doctor`
+async function checkAuth() {
+  const response = await fetch("https://api.github.com/user", {
+    headers: getHeaders(),
+  });
+  if (response.status === 401) {
+    throw new Error("GITHUB_API_KEY was rejected, it may have expired");
+  }
+  if (!response.ok) {
+    await logFetchResponseError(response, "checkAuth");
+    throw new Error(`GitHub API request failed (${response.status})`);
+  }
+  return (await response.json()).login;
+}
+
+async function resolvePull({ repo, number }) {
+  const cached = readCachedPulls().filter(
+    (pr) => pr.number === number && (repo == null || getPullRepo(pr) === repo)
+  );
+  if (cached.length > 0) {
+    return cached.map((pr) => createPullItem(pr));
+  }
+
+  const fetchRepo = repo ?? getKnownRepos()[0];
+  const pr = fetchRepo ? await fetchPull(fetchRepo, number) : null;
+  return pr ? [createPullItem(pr)] : [];
+}
+
+async function githubFilter(query, cacheOptions) {
+  try {
+    const allPulls = await fetchAllPullsWithCache(cacheOptions);
+
+    const parsedQuery = parseQuery(query);
+    const { records: pulls, unsupported } = applyOperators(
+      allPulls,
+      parsedQuery,
+      pullOperators
+    );
+    if (unsupported.length > 0) {
+      return [
+        createQueryHintItem({
+          unsupported,
+          usage: formatOperatorUsage(pullOperators),
+          iconPath: "./src/icons/github.png",
+          source: "gh",
+        }),
+      ];
+    }
+
+    const pullItems = pulls.map((pr) =>
+      createPullItem(pr, allPulls.titlePrefix)
+    );
+
+    // One navigation item per repository, plus the org's pulls in org mode
+    const repos = getKnownRepos();
+    const navigationItems = repos.map((repo) =>
+      createNavigationItem({
+        title:
+          repos.length > 1
+            ? `GitHub pull requests ${repo}`
+            : "GitHub pull requests",
+        arg: `https://github.com/${repo}/pulls`,
         iconPath: "./src/icons/github.png",
         source: "gh",
-        date: new Date(pr.updated_at),
-        // uid: `github-pr-${pr.number}`,
+        uid: `github-navigation-${repo}`,
       })
     );
+    if (githubRepos.length === 0) {
+      navigationItems.unshift(
+        createNavigationItem({
+          title: `GitHub pull requests ${githubOrg}`,
+          arg: `https://github.com/pulls?q=is%3Apr+org%3A${githubOrg}`,
+          iconPath: "./src/icons/github.png",
+          source: "gh",
+          uid: "github-navigation",
+        })
+      );
+    }
 
-    const navigationItem = createNavigationItem({
-      title: "GitHub pull requests",
-      arg: `https://github.com/${githubRepo}/pulls`,
-      iconPath: "./src/icons/github.png",
-      source: "gh",
-      // uid: "github-navigation",
-    });
-
-    const allItems = wrapFilterResults(pullItems, navigationItem);
-    return filterByWords(allItems, query);
+    const allItems = wrapFilterResults(pullItems, ...navigationItems);
+    return filterByQuery(allItems, parsedQuery);
   } catch (error) {
     logError(error, "githubFilter");
     error.scriptFilterItem = createErrorItem({
@@ -114,7 +450,7 @@ async function githubFilter(query) {
       arg: "https://github.com/settings/tokens",
       iconPath: "./src/icons/github.png",
       source: "gh",
-      // uid: "github-error",
+      uid: "github-error",
     });
     throw error;
   }
@@ -122,6 +458,26 @@ async function githubFilter(query) {
 
 module.exports = githubFilter;
 module.exports.fetchAllData = fetchAllPulls;
+module.exports.createPullItem = createPullItem;
+module.exports.source = {
+  prefix: "gh",
+  name: "GitHub pull requests",
+  description: "Search GitHub pull requests",
+  iconPath: "./src/icons/github.png",
+  requiredEnv: [
+    "GITHUB_API_KEY",
+    ["GITHUB_REPOS", "GITHUB_REPO", "GITHUB_ORG"],
+  ],
+  credentialEnv: ["GITHUB_API_KEY"],
+  caches: getPullsCacheTargets,
+  readCache: readCachedPulls,
+  fetchAllData: fetchAllPulls,
+  recognize: recognizePull,
+  resolve: resolvePull,
+  operators: pullOperators,
+  checkAuth,
+  setupUrl: "https://github.com/settings/tokens",
+};
 
 if (require.main === module) {
   const query = process.argv.slice(2).join(" ");
@@ -0,0 +1,40 @@
+const { logErrorSilently } = require("./error-logger");
+
+// Sources can recognize identifiers pasted into the root filter (ENG-123,
+// PR links, deployment URLs...) through their descriptor:
+//   recognize(query) -> identifier or null
+//   resolve(identifier) -> items, from the cache or a single API lookup
+function recognizeIdentifier(query, sources) {
+  const trimmedQuery = query.trim();
+  if (!trimmedQuery || /\s/.test(trimmedQuery)) {
+    return null;
+  }
+
+  for (const source of sources) {
+    const identifier = source.recognize?.(trimmedQuery);
+    if (identifier) {
+      return { source, identifier };
+    }
+  }
+  return null;
+}
+
+async function resolveIdentifier(query, sources) {
+  const recognized = recognizeIdentifier(query, sources);
+  if (!recognized) {
+    return [];
+  }
+
+  const { source, identifier } = recognized;
+  try {
+    return await source.resolve(identifier);
+  } catch (error) {
+    logErrorSilently(error, `resolveIdentifier ${source.prefix}`);
+    return [];
+  }
+}
+
+module.exports = {
+  recognizeIdentifier,
+  resolveIdentifier,
+};
@@ -1,24 +1,50 @@
 const { logError, logFetchResponseError } = require("./error-logger");
-const withFilterCache = require("./filter-cache-async").withFilterCache;
+const { withFilterCache, readFromCache } = require("./filter-cache-async");
+const { readSyncState, writeSyncState } = require("./data-cache-async");
 const {
   formatSubtitle,
   createFilterItem,
+  createItemMods,
   createErrorItem,
   createNavigationItem,
   wrapFilterResults,
   getEmojiOrFallback,
   executeFilterModule,
-  filterByWords,
+  filterByQuery,
+  createQueryHintItem,
+  createSearchText,
 } = require("./filter-logic");
 const {
-  priorities,
+  getPreviewUrl,
+  getIssueBranch,
+  getIssueRelations,
+} = require("./source-linker");
+const {
   sanitise,
-  fuzzyMatch,
+  readPrefs,
+  getMetadata,
+  writePrefs,
 } = require("./create-linear-issue-logic");
+const { METADATA_CACHE_FILE } = require("./create-linear-issue-cache-async");
+const {
+  parseQuery,
+  applyOperators,
+  formatOperatorUsage,
+  enumOperator,
+  personOperator,
+  textOperator,
+  dateOperator,
+} = require("./query-parser");
 
 const linearToken = process.env.LINEAR_API_KEY;
 const linearTeam = process.env.LINEAR_TEAM;
 
+const SYNC_STATE_KEY = "linear:issues";
+const SYNC_OVERLAP = 60 * 1000;
+// Past this, an incremental sync could be as slow as a full one and the cache
+// may have drifted, so resync everything
+const MAX_WATERMARK_AGE = 7 * 24 * 60 * 60 * 1000;
+
 function getEmoji(state) {
   switch (state) {
     case "backlog":
@@ -48,116 +74,75 @@ const priorityName = {
   4: "3️⃣",
 };
 
-// Parse query to extract filter parameters
-function parseQueryFilters(query) {
-  if (!query) return { filters: {}, searchQuery: "" };
-
-  const words = query.split(" ");
-  const paramWords = words.filter(
-    (word) => word.startsWith("-") && word.length > 1
-  );
-  const searchWords = words.filter(
-    (word) => !word.startsWith("-") || word.length === 1
-  );
-
-  const filters = {
-    team: null,
-    project: null,
-    assignee: null,
-    priority: null,
-  };
-
-  // Process each parameter word
-  paramWords.forEach((word) => {
-    const param = word.substring(1).toLowerCase();
-
-    // Check for priority match
-    const priorityMatch = priorities.find((p) => fuzzyMatch(p.label, param));
-    if (priorityMatch) {
-      filters.priority = priorityMatch.id;
-    }
-    // Other parameters will be matched against actual data
-    else {
-      // Store the parameter for later matching
-      if (!filters.unmatchedParams) filters.unmatchedParams = [];
-      filters.unmatchedParams.push(param);
-    }
-  });
-
-  return {
-    filters,
-    searchQuery: searchWords.join(" "),
-  };
-}
+const closedStates = ["done", "completed", "canceled", "duplicate"];
+
+// Query operators, e.g. `is:open assignee:me updated:<7d`
+const issueOperators = {
+  is: enumOperator("is", {
+    open: (issue) => !closedStates.includes(issue.state.name.toLowerCase()),
+    closed: (issue) => closedStates.includes(issue.state.name.toLowerCase()),
+    assigned: (issue) => !!issue.assignee,
+    unassigned: (issue) => !issue.assignee,
+  }),
+  state: textOperator("state", (issue) => issue.state.name),
+  assignee: personOperator(
+    "assignee",
+    (issue) => [issue.assignee?.name, issue.assignee?.displayName],
+    (issue) => !!issue.assignee?.isMe
+  ),
+  team: textOperator("team", (issue) =>
+    [issue.team?.key, issue.team?.name].join(" ")
+  ),
+  project: textOperator("project", (issue) => issue.project?.name),
+  priority: enumOperator("priority", {
+    none: (issue) => issue.priority === 0,
+    urgent: (issue) => issue.priority === 1,
+    high: (issue) => issue.priority === 2,
+    medium: (issue) => issue.priority === 3,
+    low: (issue) => issue.priority === 4,
+  }),
+  updated: dateOperator("updated", (issue) => issue.updatedAt),
+  created: dateOperator("created", (issue) => issue.createdAt),
+};
 
-// Apply filters to issues
-function filterIssuesBySwitches(issues, filters) {
-  // If no filters at all, return all issues
-  if (!filters || Object.keys(filters).length === 0) {
-    return issues;
+// Fields cached for every issue, shared by the full fetch and single lookups
+const ISSUE_FIELDS = `
+  title
+  identifier
+  branchName
+  state { name }
+  createdAt
+  updatedAt
+  assignee {
+    id
+    name
+    displayName
+    isMe
   }
-
-  // If only priority filter is set (no unmatched params)
-  if (!filters.unmatchedParams || filters.unmatchedParams.length === 0) {
-    if (filters.priority !== null) {
-      return issues.filter((issue) => issue.priority === filters.priority);
-    }
-    return issues;
+  url
+  priority
+  team {
+    id
+    key
+    name
   }
-
-  // Apply filters including unmatched params
-  return issues.filter((issue) => {
-    // Check priority filter first
-    if (filters.priority !== null && issue.priority !== filters.priority) {
-      return false;
-    }
-
-    // All unmatched params must match (intersection)
-    for (const param of filters.unmatchedParams) {
-      let paramMatched = false;
-
-      // Check team
-      if (
-        issue.team &&
-        (fuzzyMatch(issue.team.name, param) ||
-          fuzzyMatch(issue.team.key, param))
-      ) {
-        paramMatched = true;
-      }
-      // Check project
-      else if (issue.project && fuzzyMatch(issue.project.name, param)) {
-        paramMatched = true;
-      }
-      // Check assignee
-      else if (
-        issue.assignee &&
-        (fuzzyMatch(issue.assignee.name, param) ||
-          (issue.assignee.displayName &&
-            fuzzyMatch(issue.assignee.displayName, param)))
-      ) {
-        paramMatched = true;
-      }
-
-      // If this param didn't match anything, exclude the issue
-      if (!paramMatched) {
-        return false;
-      }
-    }
-
-    // All params matched, include this issue
-    return true;
-  });
-}
-
-async function fetchAllIssues() {
-  if (!linearToken) {
-    throw new Error("Missing LINEAR_API_KEY env var");
+  project {
+    id
+    name
   }
+`;
 
-  if (!linearTeam) {
-    throw new Error("Missing LINEAR_TEAM env var");
-  }
+// ISSUE_FIELDS already only asks for what we use, add the search text
+function projectIssue(issue) {
+  return {
+    ...issue,
+    search: createSearchText(issue.identifier, issue.title, issue.branchName),
+  };
+}
 
+// Pages of issues. With `since`, only those updated after it, archived and
+// trashed (deleted) ones included so they can be dropped from the cache.
+async function fetchIssuePages(since) {
   const allIssues = [];
   let hasNextPage = true;
   let endCursor = null;
@@ -170,30 +155,32 @@ async function fetchAllIssues() {
         Authorization: linearToken,
       },
       body: JSON.stringify({
-        query: `
+        query: since
+          ? `
+          query($after: String, $since: DateTimeOrDuration!) {
+            issues(
+              first: 100
+              after: $after
+              includeArchived: true
+              filter: { updatedAt: { gt: $since } }
+            ) {
+              nodes {
+                ${ISSUE_FIELDS}
+                archivedAt
+                trashed
+              }
+              pageInfo {
+                hasNextPage
+                endCursor
+              }
+            }
+          }
+        `
+          : `
           query($after: String) {
             issues(first: 100, after: $after) {
               nodes {
-                title
-                identifier 
-                state { name }
-                updatedAt
-                assignee { 
-                  id
-                  name 
-                  displayName
-                }
-                url
-                priority
-                team {
-                  id
-                  key
-                  name
-                }
-                project {
-                  id
-                  name
-                }
+                ${ISSUE_FIELDS}
               }
               pageInfo {
                 hasNextPage
@@ -204,6 +191,7 @@ async function fetchAllIssues() {
         `,
         variables: {
           after: endCursor,
+          ...(since && { since }),
         },
       }),
     });
@@ -214,7 +202,7 @@ async function fetchAllIssues() {
     }
 
     const { data } = await response.json();
-    allIssues.push(...data.issues.nodes);
+    allIssues.push(...data.issues.nodes.map(projectIssue));
 
     hasNextPage = data.issues.pageInfo.hasNextPage;
     endCursor = data.issues.pageInfo.endCursor;
@@ -223,44 +211,218 @@ async function fetchAllIssues() {
   return allIssues;
 }
 
+// Incremental sync: only the issues updated since the last sync, merged into
+// the cache by identifier. Without a cache or a recent watermark (a sync
+// could have missed changes), everything is fetched again.
+async function fetchAllIssues() {
+  if (!linearToken) {
+    throw new Error("Missing LINEAR_API_KEY env var");
+  }
+
+  if (!linearTeam) {
+    throw new Error("Missing LINEAR_TEAM env var");
+  }
+
+  // Overlap the previous sync a little, merging makes repeats harmless
+  const syncStart = new Date(Date.now() - SYNC_OVERLAP).toISOString();
+  const cached = readFromCache(
+    fetchAllIssuesWithCache.cacheFile,
+    fetchAllIssuesWithCache.schema
+  );
+  const watermark = readSyncState(SYNC_STATE_KEY)?.watermark;
+  if (
+    !cached ||
+    !watermark ||
+    Date.now() - Date.parse(watermark) > MAX_WATERMARK_AGE
+  ) {
+    const allIssues = await fetchIssuePages();
+    writeSyncState(SYNC_STATE_KEY, { watermark: syncStart });
+    return allIssues;
+  }
+
+  const changed = await fetchIssuePages(watermark);
+  const issuesByIdentifier = new Map(
+    cached.map((issue) => [issue.identifier, issue])
+  );
+  changed.forEach(({ archivedAt, trashed, ...issue }) => {
+    if (archivedAt || trashed) {
+      issuesByIdentifier.delete(issue.identifier);
+    } else {
+      issuesByIdentifier.set(issue.identifier, issue);
+    }
+  });
+  writeSyncState(SYNC_STATE_KEY, { watermark: syncStart });
+
+  return [...issuesByIdentifier.values()].sort((a, b) =>
+    b.updatedAt.localeCompare(a.updatedAt)
+  );
+}
+
 const fetchAllIssuesWithCache = withFilterCache(
   fetchAllIssues,
   "linear-filter",
   "linear-cache.json",
-  { cachePolicy: process.env.CACHE_POLICY }
+  {
+    cachePolicy: process.env.CACHE_POLICY,
+    ttl: 2 * 60 * 1000,
+    // 2: createdAt and assignee.isMe, which version 1 caches lack
+    // 3: search text
+    version: 3,
+    migrate: (issues, fromVersion) =>
+      fromVersion >= 2 ? issues.map(projectIssue) : null,
+  }
 );
 
-async function linearFilter(query) {
+// The metadata issue creation offers (teams, projects, users), synced with
+// the issues. It isn't a list of records, create-linear-issue-logic.js
+// writes it.
+const metadataCacheTarget = {
+  cacheFile: METADATA_CACHE_FILE,
+  fetch: async () => {
+    const metadata = await getMetadata();
+    if (metadata.error) {
+      throw new Error(metadata.error);
+    }
+    return metadata;
+  },
+  write: (metadata) => writePrefs(metadata),
+  ttl: 60 * 60 * 1000,
+};
+
+function createIssueItem(issue, titlePrefix) {
+  return createFilterItem({
+    title: [
+      titlePrefix,
+      getEmoji(issue.state.name.toLowerCase()),
+      issue.identifier,
+      priorityName[issue.priority],
+      issue.title,
+    ]
+      .filter(Boolean)
+      .join(" "),
+    search: issue.search,
+    subtitle: formatSubtitle(
+      issue.assignee?.name || "Unassigned",
+      issue.updatedAt,
+      getIssueRelations(issue)
+    ),
+    arg: issue.url,
+    iconPath: "./src/icons/linear.png",
+    source: "ln",
+    date: new Date(issue.updatedAt),
+    uid: `linear-issue-${issue.identifier}`,
+    mods: createItemMods({
+      id: issue.identifier,
+      title: issue.title,
+      url: issue.url,
+      branch: issue.branchName,
+      previewUrl: getPreviewUrl(getIssueBranch(issue)),
+    }),
+  });
+}
+
+// "ENG-123" or a pasted issue link resolve straight to the issue, as long as
+// the prefix is one of our team keys (when we know them)
+function recognizeIssue(query) {
+  const match = query.match(
+    /^(?:https:\/\/linear\.app\/[\w-]+\/issue\/)?(?<identifier>(?<key>[a-z]{2,10})-\d+)(?:\/[\w-]*)?$/i
+  );
+  if (!match) {
+    return null;
+  }
+
+  const teamKeys = readPrefs().teams?.map((team) => team.key.toUpperCase());
+  if (teamKeys?.length && !teamKeys.includes(match.groups.key.toUpperCase())) {
+    return null;
+  }
+
+  return { identifier: match.groups.identifier.toUpperCase() };
+}
+
+async function fetchIssue(identifier) {
+  const response = await fetch("https://api.linear.app/graphql", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: linearToken,
+    },
+    body: JSON.stringify({
+      query: `
+        query($id: String!) {
+          issue(id: $id) {
+            ${ISSUE_FIELDS}
+          }
+        }
+      `,
+      variables: { id: identifier },
+    }),
+  });
+
+  if (!response.ok) {
+    await logFetchResponseError(response, "fetchIssue");
+    throw new Error("Linear API request failed");
+  }
+
+  // Unknown identifiers come back as a GraphQL error with no issue
+  const { data } = await response.json();
+  return data?.issue ? projectIssue(data.issue) : null;
+}
+
+// The account the key belongs to, for `aa doctor`
+async function checkAuth() {
+  const response = await fetch("https://api.linear.app/graphql", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: linearToken,
+    },
+    body: JSON.stringify({ query: "{ viewer { name } }" }),
+  });
+
+  // Unknown keys come back as a 400 with an authentication error
+  if (response.status === 400 || response.status === 401) {
+    throw new Error("LINEAR_API_KEY was rejected, it may have been revoked");
+  }
+  if (!response.ok) {
+    await logFetchResponseError(response, "checkAuth");
+    throw new Error(`Linear API request failed (${response.status})`);
+  }
+  const { data } = await response.json();
+  return data?.viewer?.name ?? null;
+}
+
+async function resolveIssue({ identifier }) {
+  const cached = readFromCache(
+    fetchAllIssuesWithCache.cacheFile,
+    fetchAllIssuesWithCache.schema
+  )?.find((issue) => issue.identifier === identifier);
+  const issue = cached ?? (await fetchIssue(identifier));
+  return issue ? [createIssueItem(issue)] : [];
+}
+
+async function linearFilter(query, cacheOptions) {
   try {
-    const allIssues = await fetchAllIssuesWithCache();
-
-    // Parse query to extract filters and search query
-    const { filters, searchQuery } = parseQueryFilters(query);
-
-    // Apply parameter filters
-    const filteredIssues = filterIssuesBySwitches(allIssues, filters);
-
-    const issueItems = filteredIssues.map((issue) =>
-      createFilterItem({
-        title: [
-          allIssues.titlePrefix,
-          getEmoji(issue.state.name.toLowerCase()),
-          issue.identifier,
-          priorityName[issue.priority],
-          issue.title,
-        ]
-          .filter(Boolean)
-          .join(" "),
-        subtitle: formatSubtitle(
-          issue.assignee?.name || "Unassigned",
-          issue.updatedAt
-        ),
-        arg: issue.url,
-        iconPath: "./src/icons/linear.png",
-        source: "ln",
-        date: new Date(issue.updatedAt),
-        // uid: `linear-issue-${issue.identifier}`,
-      })
+    const allIssues = await fetchAllIssuesWithCache(cacheOptions);
+
+    const parsedQuery = parseQuery(query);
+    const { records: matchingIssues, unsupported } = applyOperators(
+      allIssues,
+      parsedQuery,
+      issueOperators
+    );
+    if (unsupported.length > 0) {
+      return [
+        createQueryHintItem({
+          unsupported,
+          usage: formatOperatorUsage(issueOperators),
+          iconPath: "./src/icons/linear.png",
+          source: "ln",
+        }),
+      ];
+    }
+
+    const issueItems = matchingIssues.map((issue) =>
+      createIssueItem(issue, allIssues.titlePrefix)
     );
 
     const navigationItem = createNavigationItem({
@@ -268,12 +430,12 @@ async function linearFilter(query) {
       arg: `https://linear.app/${linearTeam}`,
       iconPath: "./src/icons/linear.png",
       source: "ln",
-      // uid: "linear-navigation",
+      uid: "linear-navigation",
     });
 
     const allItems = wrapFilterResults(issueItems, navigationItem);
     // Apply text search on the filtered results
-    return filterByWords(allItems, searchQuery);
+    return filterByQuery(allItems, parsedQuery);
   } catch (error) {
     logError(error, "linearFilter");
     error.scriptFilterItem = createErrorItem({
@@ -282,7 +444,7 @@ async function linearFilter(query) {
       arg: "https://linear.app/settings/api",
       iconPath: "./src/icons/linear.png",
       source: "ln",
-      // uid: "linear-error",
+      uid: "linear-error",
     });
     throw error;
   }
@@ -290,6 +452,36 @@ async function linearFilter(query) {
 
 module.exports = linearFilter;
 module.exports.fetchAllData = fetchAllIssues;
+module.exports.createIssueItem = createIssueItem;
+module.exports.issuesCache = fetchAllIssuesWithCache;
+module.exports.projectIssue = projectIssue;
+module.exports.source = {
+  prefix: "ln",
+  name: "Linear issues",
+  description: "Search or create Linear issues",
+  iconPath: "./src/icons/linear.png",
+  requiredEnv: ["LINEAR_API_KEY", "LINEAR_TEAM"],
+  credentialEnv: ["LINEAR_API_KEY"],
+  cacheFile: fetchAllIssuesWithCache.cacheFile,
+  cacheTtl: fetchAllIssuesWithCache.ttl,
+  cacheSchema: fetchAllIssuesWithCache.schema,
+  caches: () => [
+    {
+      cacheFile: fetchAllIssuesWithCache.cacheFile,
+      fetch: fetchAllIssues,
+      ttl: fetchAllIssuesWithCache.ttl,
+      schema: fetchAllIssuesWithCache.schema,
+    },
+    metadataCacheTarget,
+  ],
+  fetchAllData: fetchAllIssues,
+  recognize: recognizeIssue,
+  resolve: resolveIssue,
+  operators: issueOperators,
+  checkAuth,
+  // Linear opens it in the workspace you're signed in to
+  setupUrl: "https://linear.app/settings/account/security",
+};
 
 if (require.main === module) {
   const query = process.argv.slice(2).join(" ");
@@ -0,0 +1,141 @@
+const fs = require("fs");
+const path = require("path");
+const { logErrorSilently } = require("./error-logger");
+
+// Locks keep background refreshes from racing each other, one lock per cache
+// (or job) in user-data/locks/<name>.lock holding the owner's pid and when it
+// took the lock. A lock whose process is gone, or that is older than
+// `staleAfter` (a hung fetch), is taken over.
+const DEFAULT_STALE_AFTER = 5 * 60 * 1000; // ms
+const UNREADABLE_LOCK_GRACE = 1000; // ms
+
+// Locks this process holds, released on exit
+const heldLocks = new Set();
+
+function getLocksDir() {
+  return path.join(process.cwd(), "user-data", "locks");
+}
+
+function getLockPath(name) {
+  // Lock names are cache file names and the like, keep them file system safe
+  return path.join(getLocksDir(), `${name.replace(/[^\w.-]/g, "-")}.lock`);
+}
+
+function readLock(name) {
+  try {
+    return JSON.parse(fs.readFileSync(getLockPath(name), "utf8"));
+  } catch (error) {
+    // Missing, or half written by a process that just took it
+    return null;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means it exists but belongs to someone else
+    return error.code === "EPERM";
+  }
+}
+
+function isLockStale(lock, staleAfter) {
+  return (
+    !lock ||
+    !isProcessAlive(lock.pid) ||
+    Date.now() - lock.acquiredAt > staleAfter
+  );
+}
+
+function getLockAge(lockPath) {
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs;
+  } catch (error) {
+    // Released in the meantime
+    return Infinity;
+  }
+}
+
+// Whether a live process holds the lock
+function isLocked(name, { staleAfter = DEFAULT_STALE_AFTER } = {}) {
+  if (!fs.existsSync(getLockPath(name))) {
+    return false;
+  }
+  return !isLockStale(readLock(name), staleAfter);
+}
+
+// Take the lock, true when we got it and false when someone else holds it
+function acquireLock(name, { staleAfter = DEFAULT_STALE_AFTER } = {}) {
+  const lockPath = getLockPath(name);
+  fs.mkdirSync(getLocksDir(), { recursive: true });
+
+  // Twice at most: the second attempt follows removing a stale lock
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      // "wx" fails when the file exists, so only one process creates it
+      fs.writeFileSync(
+        lockPath,
+        JSON.stringify({ pid: process.pid, acquiredAt: Date.now() }),
+        { flag: "wx" }
+      );
+      heldLocks.add(name);
+      return true;
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        logErrorSilently(error, "acquireLock");
+        return false;
+      }
+      // An unreadable lock is either being written right now, or was left
+      // empty by a crash a while ago
+      const lock = readLock(name);
+      const stale = lock
+        ? isLockStale(lock, staleAfter)
+        : getLockAge(lockPath) > UNREADABLE_LOCK_GRACE;
+      if (!stale) {
+        return false;
+      }
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+  return false;
+}
+
+function releaseLock(name) {
+  if (!heldLocks.has(name)) {
+    return;
+  }
+  heldLocks.delete(name);
+  try {
+    // Only if it's still ours, it may have been taken over as stale
+    if (readLock(name)?.pid === process.pid) {
+      fs.rmSync(getLockPath(name), { force: true });
+    }
+  } catch (error) {
+    logErrorSilently(error, "releaseLock");
+  }
+}
+
+// Run fn holding the lock, resolves to undefined without running it when the
+// lock is taken
+async function withLock(name, fn, options) {
+  if (!acquireLock(name, options)) {
+    return undefined;
+  }
+  try {
+    return await fn();
+  } finally {
+    releaseLock(name);
+  }
+}
+
+process.on("exit", () => {
+  heldLocks.forEach((name) => releaseLock(name));
+});
+
+module.exports = {
+  isLocked,
+  acquireLock,
+  releaseLock,
+  withLock,
+};
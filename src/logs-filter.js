@@ -0,0 +1,200 @@
+const fs = require("fs");
+const path = require("path");
+const { errorLogger, logError } = require("./error-logger");
+const {
+  formatRelativeDate,
+  createFilterItem,
+  createErrorItem,
+  executeFilterModule,
+  filterByWords,
+} = require("./filter-logic");
+
+// Archives read besides logs/error.log, the most recent ones
+const MAX_ARCHIVES = 3;
+// Bytes read from the end of each log, the filter runs on every keystroke
+// and a log grows to 5MB before it's rotated
+const TAIL_BYTES = 256 * 1024;
+
+// logs/error.log and its archives (error.<rotated at>.log), newest first
+function getLogFiles() {
+  const logsDir = path.dirname(errorLogger.logFilePath);
+  try {
+    const archives = fs
+      .readdirSync(logsDir)
+      .filter((file) => /^error\.\d+\.log$/.test(file))
+      .sort((a, b) => parseInt(b.split(".")[1]) - parseInt(a.split(".")[1]))
+      .slice(0, MAX_ARCHIVES)
+      .map((file) => path.join(logsDir, file));
+    return [errorLogger.logFilePath, ...archives];
+  } catch (error) {
+    // No logs directory, nothing was logged
+    return [];
+  }
+}
+
+// The last TAIL_BYTES of a log, without the entry they cut
+function readLogTail(logFile) {
+  const fd = fs.openSync(logFile, "r");
+  try {
+    const { size } = fs.fstatSync(fd);
+    const length = Math.min(size, TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, size - length);
+    const content = buffer.toString("utf8");
+    if (length === size) {
+      return content;
+    }
+    const separator = content.indexOf("\n---\n");
+    return separator === -1 ? "" : content.slice(separator + 5);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// The latest JSON blocks error-logger.js writes, separated by "---" lines
+function readLogEntries(logFile) {
+  let content;
+  try {
+    content = readLogTail(logFile);
+  } catch (error) {
+    return [];
+  }
+  return content
+    .split("\n---\n")
+    .filter((block) => block.trim())
+    .flatMap((block) => {
+      try {
+        return [{ ...JSON.parse(block), logFile }];
+      } catch (error) {
+        // Cut by a rotation, or written by an older version
+        return [];
+      }
+    });
+}
+
+function formatEntry(entry) {
+  const message = [entry.message].flat().join("\n");
+  return [
+    `${entry.timestamp} ${entry.context}`,
+    ...(entry.stack?.length ? entry.stack : [message]),
+  ].join("\n");
+}
+
+// Entries of a source: its context names it ("linearFilter", "linear-filter
+// fetch failure") or its module is on the stack
+function isSourceEntry(entry, source) {
+  const name = source.filterModule.replace(/-filter$/, "");
+  return (
+    (entry.context || "").toLowerCase().includes(name) ||
+    (entry.stack || []).some((line) =>
+      line.includes(`${source.filterModule}.js`)
+    )
+  );
+}
+
+// "linear", "ln" or "linear-filter"
+function findSource(query) {
+  // Required here, the registry loads this module
+  const { loadSources } = require("./source-registry");
+  const name = query.trim().toLowerCase();
+  return (
+    loadSources().find(
+      (source) =>
+        source.prefix === name ||
+        source.filterModule === name ||
+        source.filterModule.replace(/-filter$/, "") === name
+    ) ?? null
+  );
+}
+
+// One item per context, the latest entry first
+function createGroupItems(entries) {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const context = entry.context || "unknown";
+    groups.set(context, [...(groups.get(context) || []), entry]);
+  });
+
+  return [...groups.entries()]
+    .map(([context, groupEntries]) => {
+      const [latest] = groupEntries;
+      const message = [latest.message].flat()[0];
+      const archived = latest.logFile !== errorLogger.logFilePath;
+      const fullEntry = formatEntry(latest);
+      return createFilterItem({
+        title: `${context} (${groupEntries.length})`,
+        subtitle: [
+          message,
+          formatRelativeDate(latest.timestamp, true),
+          archived && path.basename(latest.logFile),
+        ]
+          .filter(Boolean)
+          .join(" • "),
+        // ↵ opens the log holding the entry, archived or not
+        arg: `file://${latest.logFile}`,
+        iconPath: "./src/icons/atta.png",
+        source: "logs",
+        date: new Date(latest.timestamp),
+        uid: `logs-${context}`,
+        mods: { cmd: { arg: fullEntry, subtitle: "Copy the full stack" } },
+        text: { copy: fullEntry, largetype: fullEntry },
+      });
+    })
+    .sort((a, b) => b.date - a.date);
+}
+
+async function logsFilter(query) {
+  try {
+    const entries = getLogFiles()
+      .flatMap(readLogEntries)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+    const source = query.trim() ? findSource(query) : null;
+    const items = createGroupItems(
+      source ? entries.filter((entry) => isSourceEntry(entry, source)) : entries
+    );
+    const matchingItems = source ? items : filterByWords(items, query);
+
+    if (matchingItems.length === 0) {
+      return [
+        {
+          ...createFilterItem({
+            title:
+              entries.length === 0 ? "No errors logged" : "No errors match",
+            subtitle: `Searched ${path.relative(
+              process.cwd(),
+              errorLogger.logFilePath
+            )} and its archives`,
+            iconPath: "./src/icons/atta.png",
+            source: "logs",
+          }),
+          valid: false,
+        },
+      ];
+    }
+    return matchingItems;
+  } catch (error) {
+    logError(error, "logsFilter");
+    error.scriptFilterItem = createErrorItem({
+      title: "Error logs",
+      subtitle: error.message,
+      iconPath: "./src/icons/atta.png",
+      source: "logs",
+      uid: "logs-error",
+    });
+    throw error;
+  }
+}
+
+module.exports = logsFilter;
+module.exports.mode = {
+  prefix: "logs",
+  name: "Error logs",
+  description: "Browse logged errors by context, e.g. `logs linear`",
+  usage: "[<source>|<words>]",
+};
+
+if (require.main === module) {
+  const query = process.argv.slice(2).join(" ");
+  executeFilterModule(() => logsFilter(query));
+}
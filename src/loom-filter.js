@@ -3,113 +3,145 @@ const withFilterCache = require("./filter-cache-async").withFilterCache;
 const {
   formatSubtitle,
   createFilterItem,
+  createItemMods,
   createErrorItem,
   createNavigationItem,
   wrapFilterResults,
   executeFilterModule,
-  filterByWords,
+  filterByQuery,
+  createQueryHintItem,
+  createSearchText,
 } = require("./filter-logic");
+const {
+  parseQuery,
+  applyOperators,
+  formatOperatorUsage,
+  personOperator,
+  dateOperator,
+} = require("./query-parser");
 
 const loomConnectSID = process.env.LOOM_CONNECT_SID;
 
-async function fetchAllVideos() {
-  if (!loomConnectSID) {
-    throw new Error("Missing LOOM_CONNECT_SID env var");
-  }
-  const allVideos = [];
-  let hasNextPage = true;
-  let cursor = null;
-
-  while (hasNextPage) {
-    const response = await fetch("https://www.loom.com/graphql", {
-      headers: {
-        accept: "*/*",
-        "accept-language": "en-US,en;q=0.9",
-        "apollographql-client-name": "web",
-        "apollographql-client-version": "d910ff6",
-        "content-type": "application/json",
-        priority: "u=1, i",
-        "sec-ch-ua":
-          '"Chromium";v="136", "Google Chrome";v="136", "Not.A/Brand";v="99"',
-        "sec-ch-ua-mobile": "?0",
-        "sec-ch-ua-platform": '"macOS"',
-        "sec-fetch-dest": "empty",
-        "sec-fetch-mode": "cors",
-        "sec-fetch-site": "same-origin",
-        "x-loom-request-source": "loom_web_d910ff6",
-        cookie: `connect.sid=${loomConnectSID};`,
-        Referer: "https://www.loom.com/looms/videos",
-        "Referrer-Policy": "strict-origin-when-cross-origin",
+// One page of the library, newest first
+async function fetchVideosPage(cursor, limit = 99) {
+  const response = await fetch("https://www.loom.com/graphql", {
+    headers: {
+      accept: "*/*",
+      "accept-language": "en-US,en;q=0.9",
+      "apollographql-client-name": "web",
+      "apollographql-client-version": "d910ff6",
+      "content-type": "application/json",
+      priority: "u=1, i",
+      "sec-ch-ua":
+        '"Chromium";v="136", "Google Chrome";v="136", "Not.A/Brand";v="99"',
+      "sec-ch-ua-mobile": "?0",
+      "sec-ch-ua-platform": '"macOS"',
+      "sec-fetch-dest": "empty",
+      "sec-fetch-mode": "cors",
+      "sec-fetch-site": "same-origin",
+      "x-loom-request-source": "loom_web_d910ff6",
+      cookie: `connect.sid=${loomConnectSID};`,
+      Referer: "https://www.loom.com/looms/videos",
+      "Referrer-Policy": "strict-origin-when-cross-origin",
+    },
+    body: JSON.stringify({
+      operationName: "GetLoomsForLibrary",
+      variables: {
+        source: "ALL",
+        sortType: "RECENT",
+        sortOrder: "DESC",
+        filters: [],
+        limit,
+        cursor: cursor,
+        folderId: null,
+        timeRange: null,
       },
-      body: JSON.stringify({
-        operationName: "GetLoomsForLibrary",
-        variables: {
-          source: "ALL",
-          sortType: "RECENT",
-          sortOrder: "DESC",
-          filters: [],
-          limit: 99,
-          cursor: cursor,
-          folderId: null,
-          timeRange: null,
-        },
-        query: `query GetLoomsForLibrary($limit: Int!, $cursor: String, $folderId: String, $sourceValue: String, $source: LoomsSource!, $sortType: LoomsSortType!, $sortOrder: LoomsSortOrder!, $sortGrouping: LoomsSortGrouping, $filters: [[LoomsCollectionFilter!]!], $timeRange: TimeRange) {
-            getLooms {
-              __typename
-              ... on GetLoomsPayload {
-                videos(
-                  first: $limit
-                  after: $cursor
-                  folderId: $folderId
-                  sourceValue: $sourceValue
-                  source: $source
-                  sortType: $sortType
-                  sortOrder: $sortOrder
-                  sortGrouping: $sortGrouping
-                  filters: $filters
-                  timeRange: $timeRange
-                ) {
-                  edges {
-                    cursor
-                    node {
-                      id
-                      name
-                      createdAt
-                      owner {
-                        display_name
-                      }
-                      __typename
+      query: `query GetLoomsForLibrary($limit: Int!, $cursor: String, $folderId: String, $sourceValue: String, $source: LoomsSource!, $sortType: LoomsSortType!, $sortOrder: LoomsSortOrder!, $sortGrouping: LoomsSortGrouping, $filters: [[LoomsCollectionFilter!]!], $timeRange: TimeRange) {
+          getLooms {
+            __typename
+            ... on GetLoomsPayload {
+              videos(
+                first: $limit
+                after: $cursor
+                folderId: $folderId
+                sourceValue: $sourceValue
+                source: $source
+                sortType: $sortType
+                sortOrder: $sortOrder
+                sortGrouping: $sortGrouping
+                filters: $filters
+                timeRange: $timeRange
+              ) {
+                edges {
+                  cursor
+                  node {
+                    id
+                    name
+                    createdAt
+                    owner {
+                      display_name
                     }
                     __typename
                   }
-                  pageInfo {
-                    endCursor
-                    hasNextPage
-                    __typename
-                  }
+                  __typename
+                }
+                pageInfo {
+                  endCursor
+                  hasNextPage
                   __typename
                 }
                 __typename
               }
+              __typename
             }
-          }`,
-      }),
-      method: "POST",
-    });
+          }
+        }`,
+    }),
+    method: "POST",
+  });
 
-    if (!response.ok) {
-      await logFetchResponseError(response, "fetchAllData");
-      throw new Error("Loom API request failed");
-    }
+  if (!response.ok) {
+    await logFetchResponseError(response, "fetchAllData");
+    const error = new Error(`Loom API request failed (${response.status})`);
+    error.statusCode = response.status;
+    throw error;
+  }
 
-    const data = await response.json();
-    const videos = data.data?.getLooms?.videos;
+  const data = await response.json();
+  const videos = data.data?.getLooms?.videos;
 
-    if (!videos?.edges) {
-      throw new Error("Invalid response format from Loom API");
-    }
+  if (!videos?.edges) {
+    throw new Error("Invalid response format from Loom API");
+  }
 
-    allVideos.push(...videos.edges);
+  return videos;
+}
+
+// Only what the filter and its operators use, the edges keep their GraphQL
+// cursors and typenames
+function projectVideo({ node }) {
+  return {
+    node: {
+      id: node.id,
+      name: node.name,
+      createdAt: node.createdAt,
+      owner: { display_name: node.owner?.display_name },
+    },
+    search: createSearchText(node.name, node.owner?.display_name),
+  };
+}
+
+async function fetchAllVideos() {
+  if (!loomConnectSID) {
+    throw new Error("Missing LOOM_CONNECT_SID env var");
+  }
+  const allVideos = [];
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const videos = await fetchVideosPage(cursor);
+    allVideos.push(...videos.edges.map(projectVideo));
 
     hasNextPage = videos.pageInfo.hasNextPage;
     cursor = videos.pageInfo.endCursor;
@@ -118,18 +150,62 @@ async function fetchAllVideos() {
   return allVideos;
 }
 
+// The session cookie expires, the library answering means it hasn't. For
+// `aa doctor`.
+async function checkAuth() {
+  try {
+    await fetchVideosPage(null, 1);
+  } catch (error) {
+    // Only a refusal means the session expired, an outage or a changed API
+    // is reported as is
+    if ([401, 403].includes(error.statusCode)) {
+      throw new Error("LOOM_CONNECT_SID was rejected, copy a new one");
+    }
+    throw error;
+  }
+  return null;
+}
+
 const fetchAllVideosWithCache = withFilterCache(
   fetchAllVideos,
   "loom-filter",
   "loom-cache.json",
-  { cachePolicy: process.env.CACHE_POLICY }
+  {
+    cachePolicy: process.env.CACHE_POLICY,
+    ttl: 60 * 60 * 1000,
+    version: 2,
+    migrate: (videos) => videos.map(projectVideo),
+  }
 );
 
-async function loomFilter(query) {
+// Query operators, e.g. `author:me created:<7d`
+const videoOperators = {
+  author: personOperator("author", ({ node }) => [node.owner?.display_name]),
+  created: dateOperator("created", ({ node }) => node.createdAt),
+};
+
+async function loomFilter(query, cacheOptions) {
   try {
-    const allVideos = await fetchAllVideosWithCache();
+    const allVideos = await fetchAllVideosWithCache(cacheOptions);
+
+    const parsedQuery = parseQuery(query);
+    const { records: videos, unsupported } = applyOperators(
+      allVideos,
+      parsedQuery,
+      videoOperators
+    );
+    if (unsupported.length > 0) {
+      return [
+        createQueryHintItem({
+          unsupported,
+          usage: formatOperatorUsage(videoOperators),
+          iconPath: "./src/icons/loom.png",
+          source: "lm",
+        }),
+      ];
+    }
 
-    const videoItems = allVideos.map(({ node }) =>
+    const videoItems = videos.map(({ node, search }) =>
       createFilterItem({
         title: [allVideos.titlePrefix, `🎥`, node.name]
           .filter(Boolean)
@@ -139,7 +215,12 @@ async function loomFilter(query) {
         iconPath: "./src/icons/loom.png",
         source: "lm",
         date: new Date(node.createdAt),
-        // uid: `loom-video-${node.id}`,
+        uid: `loom-video-${node.id}`,
+        search,
+        mods: createItemMods({
+          title: node.name,
+          url: `https://www.loom.com/share/${node.id}`,
+        }),
       })
     );
 
@@ -148,11 +229,11 @@ async function loomFilter(query) {
       arg: "https://www.loom.com/looms/videos",
       iconPath: "./src/icons/loom.png",
       source: "lm",
-      // uid: "loom-navigation",
+      uid: "loom-navigation",
     });
 
     const allItems = wrapFilterResults(videoItems, navigationItem);
-    return filterByWords(allItems, query);
+    return filterByQuery(allItems, parsedQuery);
   } catch (error) {
     logError(error, "loomFilter");
     error.scriptFilterItem = createErrorItem({
@@ -161,7 +242,7 @@ async function loomFilter(query) {
       arg: "https://www.loom.com/my-videos",
       iconPath: "./src/icons/loom.png",
       source: "lm",
-      // uid: "loom-error",
+      uid: "loom-error",
     });
     throw error;
   }
@@ -169,6 +250,21 @@ async function loomFilter(query) {
 
 module.exports = loomFilter;
 module.exports.fetchAllData = fetchAllVideos;
+module.exports.source = {
+  prefix: "lm",
+  name: "Loom videos",
+  description: "Search Loom videos",
+  iconPath: "./src/icons/loom.png",
+  requiredEnv: ["LOOM_CONNECT_SID"],
+  credentialEnv: ["LOOM_CONNECT_SID"],
+  cacheFile: fetchAllVideosWithCache.cacheFile,
+  cacheTtl: fetchAllVideosWithCache.ttl,
+  cacheSchema: fetchAllVideosWithCache.schema,
+  fetchAllData: fetchAllVideos,
+  operators: videoOperators,
+  checkAuth,
+  setupUrl: "https://loom.com/",
+};
 
 if (require.main === module) {
   const query = process.argv.slice(2).join(" ");
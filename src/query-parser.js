@@ -0,0 +1,209 @@
+// Query grammar shared by every filter:
+//   words                  text search, every word has to match
+//   "quoted phrase"        has to appear as is
+//   -word                  exclude results containing the word
+//   name:value             operator, e.g. is:open, author:me, updated:<7d
+//   name:"quoted value"    operator with spaces in its value
+//   -name:value            exclude what the operator matches, e.g. -is:open
+// Sources map the operators onto their own fields with the helpers below.
+
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+const DURATION_UNITS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  m: 30 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000,
+};
+
+function parseQuery(query) {
+  const parsed = { words: [], phrases: [], excluded: [], operators: [] };
+
+  for (const match of (query ?? "").matchAll(TOKEN_PATTERN)) {
+    const [raw, negated, name, quoted, bare] = match;
+    const value = quoted ?? bare;
+
+    // Links ("https://...") aren't operators
+    if (name && !value.startsWith("//")) {
+      parsed.operators.push({
+        raw,
+        name: name.toLowerCase(),
+        value,
+        negated: !!negated,
+      });
+    } else if (negated && !name && value) {
+      parsed.excluded.push(value.toLowerCase());
+    } else if (quoted != null && !name) {
+      if (quoted.trim()) {
+        parsed.phrases.push(quoted.trim().toLowerCase());
+      }
+    } else {
+      parsed.words.push(raw.toLowerCase());
+    }
+  }
+
+  return parsed;
+}
+
+// The text search part of a query, e.g. for identifier recognition
+function getSearchText(parsed) {
+  return [...parsed.words, ...parsed.phrases].join(" ");
+}
+
+// "<7d" (newer than 7 days), ">2w", "<=2026-09-01", "2026-09-01" (that day)
+function parseDateCondition(value) {
+  const match = value.match(/^(<=|>=|<|>)?(.+)$/);
+  if (!match) {
+    return null;
+  }
+  const [, comparison, operand] = match;
+
+  const duration = operand.match(/^(\d+)([hdwmy])$/);
+  if (duration) {
+    // Ages compare the other way round, "<7d" means after a week ago
+    const since =
+      Date.now() - Number(duration[1]) * DURATION_UNITS[duration[2]];
+    const flipped = { "<": ">", "<=": ">=", ">": "<", ">=": "<=" };
+    return { comparison: flipped[comparison ?? "<"], date: since };
+  }
+
+  const date = Date.parse(operand);
+  if (!/^\d{4}-\d{2}(-\d{2})?$/.test(operand) || Number.isNaN(date)) {
+    return null;
+  }
+  if (!comparison) {
+    // A bare date matches the whole day (or month)
+    const end = new Date(date);
+    operand.length > 7
+      ? end.setUTCDate(end.getUTCDate() + 1)
+      : end.setUTCMonth(end.getUTCMonth() + 1);
+    return { comparison: "range", date, end: end.getTime() };
+  }
+  return { comparison, date };
+}
+
+function matchesDateCondition(dateValue, condition) {
+  const time = new Date(dateValue).getTime();
+  if (!dateValue || Number.isNaN(time)) {
+    return false;
+  }
+  switch (condition.comparison) {
+    case "<":
+      return time < condition.date;
+    case "<=":
+      return time <= condition.date;
+    case ">":
+      return time > condition.date;
+    case ">=":
+      return time >= condition.date;
+    default:
+      return time >= condition.date && time < condition.end;
+  }
+}
+
+// Who "me" is across sources, a comma separated list of names and usernames
+function getMyNames() {
+  return (process.env.ATTA_ME || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Operator builders. An operator is { usage, validate(value), match(record, value) }
+
+function dateOperator(name, getDate) {
+  return {
+    usage: `${name}:<7d`,
+    validate: (value) => parseDateCondition(value) != null,
+    match: (record, value) =>
+      matchesDateCondition(getDate(record), parseDateCondition(value)),
+  };
+}
+
+// getNames returns the person's names and usernames, isMe is for sources
+// that know who the viewer is
+function personOperator(name, getNames, isMe = () => false) {
+  return {
+    usage: `${name}:me`,
+    validate: () => true,
+    match: (record, value) => {
+      const names = getNames(record)
+        .filter(Boolean)
+        .map((personName) => personName.toLowerCase());
+      if (value.toLowerCase() === "me") {
+        return (
+          isMe(record) ||
+          names.some((personName) => getMyNames().includes(personName))
+        );
+      }
+      return names.some((personName) =>
+        personName.includes(value.toLowerCase())
+      );
+    },
+  };
+}
+
+function textOperator(name, getText) {
+  return {
+    usage: `${name}:<text>`,
+    validate: () => true,
+    match: (record, value) =>
+      (getText(record) || "").toLowerCase().includes(value.toLowerCase()),
+  };
+}
+
+// One predicate per allowed value, e.g. { open: (pr) => ..., merged: ... }
+function enumOperator(name, predicates) {
+  return {
+    usage: `${name}:${Object.keys(predicates).join("|")}`,
+    validate: (value) => Object.hasOwn(predicates, value.toLowerCase()),
+    match: (record, value) => predicates[value.toLowerCase()](record),
+  };
+}
+
+function isOperatorSupported(operators = {}, { name, value }) {
+  return Object.hasOwn(operators, name) && operators[name].validate(value);
+}
+
+// Keep the records matching every operator. Operators the source doesn't
+// support can't match anything, they're returned for a hint item instead.
+function applyOperators(records, parsed, operators = {}) {
+  const unsupported = parsed.operators.filter(
+    (operator) => !isOperatorSupported(operators, operator)
+  );
+  if (unsupported.length > 0) {
+    return { records: [], unsupported };
+  }
+
+  return {
+    records: records.filter((record) =>
+      parsed.operators.every(
+        ({ name, value, negated }) =>
+          operators[name].match(record, value) !== negated
+      )
+    ),
+    unsupported,
+  };
+}
+
+function formatOperatorUsage(operators = {}) {
+  return Object.values(operators)
+    .map((operator) => operator.usage)
+    .join(", ");
+}
+
+module.exports = {
+  parseQuery,
+  getSearchText,
+  parseDateCondition,
+  matchesDateCondition,
+  getMyNames,
+  dateOperator,
+  personOperator,
+  textOperator,
+  enumOperator,
+  isOperatorSupported,
+  applyOperators,
+  formatOperatorUsage,
+};
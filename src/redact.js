@@ -0,0 +1,85 @@
+// Masks credentials before anything reaches the logs: the values of the
+// workflow's token variables wherever they appear, and the values of fields
+// that hold secrets (an `authorization` header, a decrypted Vercel env var's
+// `value`, ...), whatever they are.
+
+// Workflow variables holding credentials, e.g. GITHUB_API_KEY or
+// LOOM_CONNECT_SID
+const SECRET_ENV_PATTERN = /(KEY|TOKEN|SECRET|SID|PASSWORD)$/;
+// Fields whose values are secrets. Not `key`: Vercel names env vars with it.
+const SECRET_FIELD_PATTERN =
+  /^(authorization|cookie|.*(token|secret|password|api_?key)|(.*[._-])?sid)$/i;
+// The value fields of env vars ({ key, value, ... }, e.g. Vercel's), other
+// values (options, form fields) are logged as is
+const ENV_VALUE_FIELDS = ["value", "decryptedValue"];
+// Values this short would mask parts of unrelated text
+const MIN_SECRET_LENGTH = 6;
+// Nested deeper than this isn't worth walking (and may be a cycle)
+const MAX_DEPTH = 10;
+
+const REDACTED = "[REDACTED]";
+
+function getSecretEnvValues() {
+  return Object.entries(process.env)
+    .filter(
+      ([name, value]) =>
+        SECRET_ENV_PATTERN.test(name) &&
+        value &&
+        value.length >= MIN_SECRET_LENGTH
+    )
+    .map(([name, value]) => ({ name, value }));
+}
+
+function redactText(text) {
+  return getSecretEnvValues().reduce(
+    (redacted, { name, value }) =>
+      redacted.split(value).join(`[REDACTED ${name}]`),
+    // Bearer tokens of APIs we don't know the variable of
+    String(text).replace(
+      /\b(Bearer|Basic)\s+[\w.~+/=-]{8,}/gi,
+      `$1 ${REDACTED}`
+    )
+  );
+}
+
+// The name of the token variable whose value text contains, if any
+function findSecretEnvName(text) {
+  return (
+    getSecretEnvValues().find(({ value }) => String(text).includes(value))
+      ?.name ?? null
+  );
+}
+
+// A copy of value with the secrets masked, for logging it
+function redact(value, depth = 0) {
+  if (typeof value === "string") {
+    return redactText(value);
+  }
+  if (value == null || typeof value !== "object") {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return REDACTED;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  // Dates and the like, as JSON.stringify would write them
+  if (typeof value.toJSON === "function") {
+    return redact(value.toJSON(), depth + 1);
+  }
+  const isEnvVar = typeof value.key === "string";
+  const isSecretField = (key) =>
+    SECRET_FIELD_PATTERN.test(key) ||
+    (isEnvVar && ENV_VALUE_FIELDS.includes(key));
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      isSecretField(key) && item != null && item !== ""
+        ? REDACTED
+        : redact(item, depth + 1),
+    ])
+  );
+}
+
+module.exports = { redact, redactText, findSecretEnvName };
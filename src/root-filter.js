@@ -1,50 +1,238 @@
 /**
- * Usage: node src/root-filter.js [gh|ln|vc|lm|fg|cr]
+ * Usage: node src/root-filter.js [<source prefix>] <query>
  */
 
 const { logError, logErrorSilently } = require("./error-logger");
-const vercelFilter = require("./vercel-filter");
-const githubFilter = require("./github-filter");
-const linearFilter = require("./linear-filter");
-const loomFilter = require("./loom-filter");
-const figmaFilter = require("./figma-filter");
-const cursorFilter = require("./cursor-filter");
-const { sortByDateDescending } = require("./filter-logic");
-
-async function rootFilter(sourceFilter, restQuery) {
+const {
+  loadSources,
+  getMode,
+  parseSourceQuery,
+  isSourceConfigured,
+  getSourceCaches,
+} = require("./source-registry");
+const { readSyncStatus } = require("./sync-coordinator");
+const { takeFetchFailures } = require("./filter-cache-async");
+const { applyFrecency } = require("./usage-store");
+const { readPendingSources } = require("./search-client");
+const { resolveIdentifier } = require("./identifier-resolver");
+const {
+  sortByRelevance,
+  formatRelativeDate,
+  createFilterItem,
+  createNavigationItem,
+  createQueryHintItem,
+} = require("./filter-logic");
+const {
+  parseQuery,
+  isOperatorSupported,
+  formatOperatorUsage,
+} = require("./query-parser");
+
+// How long a source may take before we fall back to its cache (ms)
+const DEFAULT_SOURCE_DEADLINE = 1000;
+// How often Alfred reruns the filter while sources are still loading (s)
+const PENDING_RERUN_INTERVAL = 1;
+// Give up waiting on a background refresh after this long (ms)
+const MAX_PENDING_TIME = 60 * 1000;
+
+const TIMED_OUT = Symbol("timed out");
+
+function withDeadline(promise, deadline) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(TIMED_OUT), deadline);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Resolves to { items, pendingSince, error }, error being why the source
+// failed altogether
+async function searchSource(source, restQuery, pendingSince) {
+  let failure = null;
+  const searchFailed = (error) => {
+    logErrorSilently(error, source.filter.name || source.filterModule);
+    failure = error;
+    return [];
+  };
+
+  // A background refresh was started on a previous run, read the cache only
+  // until it lands or we give up on it
+  if (pendingSince != null) {
+    const items = await source
+      .filter(restQuery, { cachePolicy: "cache-only", revalidate: false })
+      .catch(searchFailed);
+    // Done, failed or skipped: the coordinator records each refresh's end,
+    // empty results and failures don't touch the cache file
+    const allStatus = readSyncStatus();
+    const refreshed = getSourceCaches(source).some(({ cacheFile }) => {
+      const status = allStatus[cacheFile] ?? {};
+      return (
+        Math.max(status.finishedAt ?? 0, status.skippedAt ?? 0) > pendingSince
+      );
+    });
+    const expired = Date.now() - pendingSince > MAX_PENDING_TIME;
+    return {
+      items,
+      pendingSince: refreshed || expired ? null : pendingSince,
+      error: failure,
+    };
+  }
+
+  const items = await withDeadline(
+    source.filter(restQuery).catch(searchFailed),
+    source.deadline ?? DEFAULT_SOURCE_DEADLINE
+  );
+  if (items !== TIMED_OUT) {
+    return { items, pendingSince: null, error: failure };
+  }
+
+  // Too slow: serve what we have cached and refresh it in the background
+  const cachedItems = await source
+    .filter(restQuery, { cachePolicy: "cache-only" })
+    .catch(searchFailed);
+  return { items: cachedItems, pendingSince: Date.now(), error: failure };
+}
+
+// One per failing source: why, and how old the cache we showed instead is.
+// The error items the filters attach only say to configure them, we only
+// warn about configured sources.
+function createWarningItem(source, { error, cachedAt }) {
+  const cache = cachedAt
+    ? `results cached ${formatRelativeDate(cachedAt).toLowerCase()}`
+    : "nothing cached";
+  return {
+    ...createFilterItem({
+      title: `⚠️ ${source.name} unavailable`,
+      subtitle: `${error.message} • ${cache}`,
+      iconPath: source.iconPath,
+      source: "root",
+      uid: `root-warning-${source.prefix}`,
+    }),
+    autocomplete: `doctor ${source.prefix}`,
+    valid: false,
+  };
+}
+
+function createPendingItem(sources) {
+  return {
+    ...createNavigationItem({
+      title: "Still loading…",
+      subtitle: `Waiting on ${sources
+        .map((source) => source.name)
+        .join(", ")}, results will refresh`,
+      iconPath: "./src/icons/atta.png",
+      source: "root",
+      uid: "root-pending",
+    }),
+    valid: false,
+  };
+}
+
+// Modes (`aa br ...`) get the whole query and build their own result list
+async function runMode(mode, restQuery) {
+  const items = await mode.filter(restQuery);
+  items.pendingSources = {};
+  return items;
+}
+
+// Operators none of the searched sources support get a single hint, sources
+// that merely lack one operator just don't contribute results
+function createRootQueryHintItem(restQuery, sources) {
+  const unsupported = parseQuery(restQuery).operators.filter(
+    (operator) =>
+      !sources.some((source) => isOperatorSupported(source.operators, operator))
+  );
+  if (unsupported.length === 0) {
+    return null;
+  }
+
+  const operatorNames = new Set(
+    sources.flatMap((source) => Object.keys(source.operators || {}))
+  );
+  const usage =
+    sources.length === 1
+      ? formatOperatorUsage(sources[0].operators)
+      : [...operatorNames].map((name) => `${name}:`).join(", ");
+  return createQueryHintItem({
+    unsupported,
+    usage,
+    iconPath: "./src/icons/atta.png",
+    source: "root",
+  });
+}
+
+async function rootFilter(sourceFilter, restQuery, pendingSources = {}) {
+  const mode = getMode(sourceFilter);
+  if (mode) {
+    return runMode(mode, restQuery);
+  }
+
   try {
-    const items = await Promise.all([
-      vercelFilter(restQuery).catch((error) => {
-        logErrorSilently(error, "vercelFilter");
-        return [];
-      }),
-      githubFilter(restQuery).catch((error) => {
-        logErrorSilently(error, "githubFilter");
-        return [];
-      }),
-      linearFilter(restQuery).catch((error) => {
-        logErrorSilently(error, "linearFilter");
-        return [];
-      }),
-      loomFilter(restQuery).catch((error) => {
-        logErrorSilently(error, "loomFilter");
-        return [];
-      }),
-      figmaFilter(restQuery).catch((error) => {
-        logErrorSilently(error, "figmaFilter");
-        return [];
-      }),
-      cursorFilter(restQuery).catch((error) => {
-        logErrorSilently(error, "cursorFilter");
-        return [];
-      }),
+    const sources = loadSources().filter(
+      (source) => sourceFilter == null || source.prefix === sourceFilter
+    );
+    // Left over from searches we stopped waiting on (the search daemon)
+    takeFetchFailures();
+
+    const [resolvedItems, results] = await Promise.all([
+      withDeadline(
+        resolveIdentifier(restQuery, sources),
+        DEFAULT_SOURCE_DEADLINE
+      ),
+      Promise.all(
+        sources.map((source) =>
+          searchSource(source, restQuery, pendingSources[source.prefix])
+        )
+      ),
     ]);
 
-    const allItems = items
-      .flat()
-      .filter((item) => sourceFilter == null || item.source === sourceFilter);
+    const allItems = results
+      .flatMap((result) => result.items)
+      .filter((item) => sourceFilter == null || item.source === sourceFilter)
+      .filter((item) => !item.queryHint);
+
+    // Pasted identifiers resolve to their item, shown first. Everything else
+    // is boosted by what the user opens most often and most recently.
+    const resolved = resolvedItems === TIMED_OUT ? [] : resolvedItems;
+    const resolvedUids = new Set(resolved.map((item) => item.uid));
+    const queryHintItem = createRootQueryHintItem(restQuery, sources);
+    const sortedItems = [
+      ...(queryHintItem ? [queryHintItem] : []),
+      ...resolved,
+      ...sortByRelevance(applyFrecency(allItems)).filter(
+        (item) => !resolvedUids.has(item.uid)
+      ),
+    ];
+
+    // Sources still loading are reported on the result list itself so the
+    // caller can ask Alfred to rerun us
+    const pending = sources
+      .map((source, index) => ({ source, since: results[index].pendingSince }))
+      .filter(({ since }) => since != null);
+    sortedItems.pendingSources = Object.fromEntries(
+      pending.map(({ source, since }) => [source.prefix, since])
+    );
+    if (pending.length > 0) {
+      sortedItems.push(createPendingItem(pending.map(({ source }) => source)));
+    }
+
+    // Sources that failed, or that we showed stale cached results of, last.
+    // Those that aren't set up fail too, `aa doctor` lists them.
+    const fetchFailures = takeFetchFailures();
+    sources.forEach((source, index) => {
+      if (!isSourceConfigured(source)) {
+        return;
+      }
+      const { error } = results[index];
+      const failure = error
+        ? { error, cachedAt: null }
+        : fetchFailures.get(source.filterModule);
+      if (failure) {
+        sortedItems.push(createWarningItem(source, failure));
+      }
+    });
 
-    return sortByDateDescending(allItems);
+    return sortedItems;
   } catch (error) {
     logError(error, "rootFilter");
     error.scriptFilterItem = {
@@ -55,30 +243,45 @@ async function rootFilter(sourceFilter, restQuery) {
       },
       source: "root",
       date: new Date(),
-      // uid: "root-error",
+      uid: "root-error",
     };
     throw error;
   }
 }
 
+// The script filter output for a query, also answered by the search daemon
+async function createRootOutput(query, pendingSources = {}) {
+  const { sourceFilter, restQuery } = parseSourceQuery(query);
+
+  try {
+    const items = await rootFilter(sourceFilter, restQuery, pendingSources);
+    const output = { skipknowledge: true, items };
+    if (Object.keys(items.pendingSources).length > 0) {
+      output.rerun = PENDING_RERUN_INTERVAL;
+      output.variables = {
+        pendingSources: JSON.stringify(items.pendingSources),
+      };
+    }
+    // Modes showing progress, e.g. `aa sync`, ask for reruns themselves
+    if (items.rerun) {
+      output.rerun = items.rerun;
+    }
+    return output;
+  } catch (error) {
+    logError(error, "rootFilter main");
+    return { items: [error.scriptFilterItem] };
+  }
+}
+
 module.exports = rootFilter;
+module.exports.createRootOutput = createRootOutput;
 
 if (require.main === module) {
   const query = process.argv.slice(2).join(" ");
-  const sourceFilter =
-    query?.match(/^(?<filter>gh|ln|vc|lm|fg|cr)\b/)?.groups?.filter ?? null;
-  const restQuery = query?.replace(/^(?:gh|ln|vc|lm|fg|cr)\b\s*/, "") ?? "";
-
-  rootFilter(sourceFilter, restQuery)
-    .then((items) => {
-      console.log(JSON.stringify({ items }));
-    })
-    .catch((error) => {
-      logError(error, "rootFilter main");
-      console.log(
-        JSON.stringify({
-          items: [error.scriptFilterItem],
-        })
-      );
-    });
-} 
\ No newline at end of file
+
+  // Exit as soon as the output is flushed, slow sources we stopped waiting
+  // for would otherwise keep the process (and Alfred) hanging
+  createRootOutput(query, readPendingSources()).then((output) => {
+    process.stdout.write(JSON.stringify(output) + "\n", () => process.exit(0));
+  });
+}
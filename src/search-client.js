@@ -0,0 +1,103 @@
+/**
+ * Usage: node src/search-client.js [<source prefix>] <query>
+ *
+ * The root script filter. With the SEARCH_DAEMON workflow variable set to 1,
+ * asks the search daemon (src/search-daemon.js), starting it when it isn't
+ * running. Otherwise, or until the daemon answers, searches in-process like
+ * src/root-filter.js. Only requires what talking to the daemon needs, so it
+ * starts quickly.
+ */
+
+const crypto = require("crypto");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+// Unanswered requests fall back to searching in-process (ms)
+const DAEMON_TIMEOUT = 3000;
+
+// Next to the system's temp files, socket paths are limited to ~100
+// characters and the workflow folder alone can be longer. One socket per
+// workflow folder.
+function getSocketPath() {
+  const workflowHash = crypto
+    .createHash("sha1")
+    .update(process.cwd())
+    .digest("hex")
+    .slice(0, 12);
+  return path.join(os.tmpdir(), `atta-alfred-${workflowHash}.sock`);
+}
+
+// The workflow configuration (its uppercase variables, e.g. GITHUB_REPOS) the
+// daemon has to share with us to answer for us
+function getConfigHash() {
+  const config = Object.keys(process.env)
+    .filter((name) => /^[A-Z][A-Z0-9_]*$/.test(name))
+    .sort()
+    .map((name) => `${name}=${process.env[name]}`)
+    .join("\n");
+  return crypto.createHash("sha1").update(config).digest("hex");
+}
+
+// Alfred passes the variables of the previous run back to us on rerun
+function readPendingSources() {
+  try {
+    return JSON.parse(process.env.pendingSources || "{}");
+  } catch (error) {
+    return {};
+  }
+}
+
+function askDaemon(request) {
+  return new Promise((resolve, reject) => {
+    let response = "";
+    const socket = net.connect(getSocketPath());
+    socket.setEncoding("utf8");
+    socket.setTimeout(DAEMON_TIMEOUT, () =>
+      socket.destroy(new Error("Search daemon timed out"))
+    );
+    socket.on("connect", () => socket.write(JSON.stringify(request) + "\n"));
+    socket.on("data", (chunk) => (response += chunk));
+    socket.on("end", () => {
+      try {
+        const output = JSON.parse(response);
+        output.error ? reject(new Error(output.error)) : resolve(output);
+      } catch (error) {
+        reject(error);
+      }
+    });
+    socket.on("error", reject);
+  });
+}
+
+async function search(query) {
+  const pendingSources = readPendingSources();
+  if (process.env.SEARCH_DAEMON === "1") {
+    try {
+      return await askDaemon({
+        query,
+        pendingSources,
+        configHash: getConfigHash(),
+      });
+    } catch (error) {
+      // Not running yet, or it just exited for a configuration change. It
+      // inherits our environment, so it answers with our configuration.
+      const { spawnAsyncCache } = require("./data-cache-async");
+      spawnAsyncCache("search-daemon.js");
+    }
+  }
+
+  const { createRootOutput } = require("./root-filter");
+  return createRootOutput(query, pendingSources);
+}
+
+module.exports = { getSocketPath, getConfigHash, readPendingSources, search };
+
+if (require.main === module) {
+  const query = process.argv.slice(2).join(" ");
+
+  // Exit as soon as the output is flushed, see root-filter.js
+  search(query).then((output) => {
+    process.stdout.write(JSON.stringify(output) + "\n", () => process.exit(0));
+  });
+}
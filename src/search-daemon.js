@@ -0,0 +1,129 @@
+/**
+ * Usage: node src/search-daemon.js
+ *
+ * Optional long-lived search process, src/search-client.js starts it when the
+ * SEARCH_DAEMON workflow variable is 1. It keeps the modules loaded and the
+ * caches parsed in memory, and answers the client over a Unix socket so a
+ * keystroke doesn't pay for Node starting up and every cache being read
+ * again. Exits after a while without searches.
+ */
+
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const { logError, logErrorSilently } = require("./error-logger");
+const {
+  createLogger,
+  keepCachesInMemory,
+  forgetCache,
+} = require("./data-cache-async");
+const { getSocketPath, getConfigHash } = require("./search-client");
+
+const log = createLogger("search-daemon.log");
+
+// Exit after this long without a search (ms)
+const IDLE_TIMEOUT = 30 * 60 * 1000;
+let idleTimer = null;
+
+function resetIdleTimer() {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => {
+    log("Idle, exiting");
+    process.kill(process.pid, "SIGTERM");
+  }, IDLE_TIMEOUT);
+}
+
+function watchCaches() {
+  const userDataDir = path.join(process.cwd(), "user-data");
+  fs.mkdirSync(userDataDir, { recursive: true });
+
+  // Loaded with the root filter, the source linker requires the registry
+  const { resetLinks } = require("./source-linker");
+  fs.watch(userDataDir, (event, fileName) => {
+    // Without a name we can't tell which cache changed
+    forgetCache(fileName);
+    resetLinks();
+  });
+}
+
+// Answers one request per connection: a line of JSON { query, pendingSources,
+// configHash } gets a line of script filter JSON back
+function handleConnection(socket, createRootOutput) {
+  let request = "";
+  let answered = false;
+  socket.setEncoding("utf8");
+  socket.on("data", async (chunk) => {
+    request += chunk;
+    if (answered || !request.includes("\n")) {
+      return;
+    }
+    answered = true;
+    resetIdleTimer();
+
+    try {
+      const { query, pendingSources, configHash } = JSON.parse(request);
+      // Workflow variables are read once at startup, a daemon started with
+      // other settings would answer for the old ones
+      if (configHash !== getConfigHash()) {
+        log("Workflow configuration changed, exiting");
+        socket.end(JSON.stringify({ error: "config changed" }) + "\n", () =>
+          process.kill(process.pid, "SIGTERM")
+        );
+        return;
+      }
+
+      const output = await createRootOutput(query, pendingSources);
+      socket.end(JSON.stringify(output) + "\n");
+    } catch (error) {
+      logErrorSilently(error, "search-daemon request");
+      socket.end(JSON.stringify({ error: error.message }) + "\n");
+    }
+  });
+  socket.on("error", (error) => logErrorSilently(error, "search-daemon"));
+}
+
+function listen(socketPath, createRootOutput) {
+  const server = net.createServer((socket) =>
+    handleConnection(socket, createRootOutput)
+  );
+
+  server.on("error", (error) => {
+    if (error.code !== "EADDRINUSE") {
+      logError(error, "search-daemon");
+      process.exit(1);
+    }
+
+    // A socket file is left over, unless another daemon is answering on it
+    const probe = net.connect(socketPath);
+    probe.on("connect", () => {
+      log("Another search daemon is running, exiting");
+      probe.destroy();
+      process.exit(0);
+    });
+    probe.on("error", () => {
+      fs.rmSync(socketPath, { force: true });
+      server.listen(socketPath);
+    });
+  });
+
+  server.listen(socketPath, () => {
+    log(`Listening on ${socketPath}`);
+    resetIdleTimer();
+  });
+
+  const shutdown = () => {
+    server.close();
+    fs.rmSync(socketPath, { force: true });
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  const { createRootOutput } = require("./root-filter");
+
+  keepCachesInMemory();
+  watchCaches();
+  listen(getSocketPath(), createRootOutput);
+}
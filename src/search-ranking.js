@@ -0,0 +1,169 @@
+// Relevance scoring for filter items. Every query word has to match the
+// item somehow, the better the match the higher the score:
+//   exact identifier (ENG-123, branch names) > exact word > word prefix
+//   > word boundary inside a token > acronym > substring > typo
+
+const SCORES = {
+  exactIdentifier: 1000,
+  exactWord: 100,
+  prefix: 60,
+  boundary: 50,
+  acronym: 40,
+  substring: 25,
+  typo: 10,
+  exactTitle: 200,
+  phrase: 50,
+};
+
+// Subtitles only count for half, titles are what people search for
+const SUBTITLE_WEIGHT = 0.5;
+
+function isIdentifier(word) {
+  return /\d/.test(word) || /[-_/#.]/.test(word);
+}
+
+// Split text into searchable tokens and the word-boundary parts within them
+// e.g. "oac/eng-10-add-billing" has parts "oac", "eng", "10", "add", "billing"
+function tokenize(text) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const parts = tokens.flatMap((token) =>
+    token.split(/[-_/.#:()[\]]+/).filter(Boolean)
+  );
+  return { tokens, parts };
+}
+
+// Damerau-Levenshtein distance, giving up once it exceeds maxDistance
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        prev[j] + 1,
+        current[j - 1] + 1,
+        prev[j - 1] + cost
+      );
+      if (
+        prevPrev &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        current[j] = Math.min(current[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+}
+
+// "aub" matches "add user billing" (initials of consecutive words)
+function matchesAcronym(word, parts) {
+  if (word.length < 2 || word.length > parts.length) {
+    return false;
+  }
+  const initials = parts.map((part) => part[0]).join("");
+  return initials.includes(word);
+}
+
+function scoreWord(word, text, { tokens, parts }) {
+  if (tokens.includes(word)) {
+    return isIdentifier(word) ? SCORES.exactIdentifier : SCORES.exactWord;
+  }
+  if (parts.includes(word)) {
+    return SCORES.exactWord;
+  }
+  if (tokens.some((token) => token.startsWith(word))) {
+    return SCORES.prefix;
+  }
+  if (parts.some((part) => part.startsWith(word))) {
+    return SCORES.boundary;
+  }
+  if (matchesAcronym(word, parts)) {
+    return SCORES.acronym;
+  }
+  if (text.includes(word)) {
+    return SCORES.substring;
+  }
+
+  // Typo tolerance, compare against whole words and the start of words so
+  // half-typed words still match
+  if (word.length >= 4) {
+    const maxDistance = word.length >= 8 ? 2 : 1;
+    const hasTypo = parts.some(
+      (part) =>
+        editDistance(word, part, maxDistance) <= maxDistance ||
+        (part.length > word.length &&
+          editDistance(word, part.slice(0, word.length), maxDistance) <=
+            maxDistance)
+    );
+    if (hasTypo) {
+      return SCORES.typo;
+    }
+  }
+
+  return 0;
+}
+
+// Returns the relevance of an item for the query words, 0 if it doesn't match
+function scoreItem(item, queryWords, phrase = queryWords.join(" ")) {
+  // Items of cached records carry their title fields' precomputed search
+  // text. Subtitles (assignees, states, file names) still count, for half.
+  const text = item.search ?? (item.title || "").toLowerCase();
+  const subtitle = (item.subtitle || "").toLowerCase();
+  const textTokens = tokenize(text);
+  const subtitleTokens = tokenize(subtitle);
+
+  let score = 0;
+  for (const word of queryWords) {
+    const wordScore = Math.max(
+      scoreWord(word, text, textTokens),
+      scoreWord(word, subtitle, subtitleTokens) * SUBTITLE_WEIGHT
+    );
+    if (wordScore === 0) {
+      return 0;
+    }
+    score += wordScore;
+  }
+
+  // The bonuses compare against what's displayed, only for the items that
+  // matched
+  const title = (item.title || "").toLowerCase();
+  if (queryWords.length > 1 && title.includes(phrase)) {
+    score += SCORES.phrase;
+  }
+  // Titles read "<status> <identifier> <title>", so the title matches
+  // exactly when the query is all of it or everything after the identifier
+  const titleWords = tokenize(title)
+    .tokens.filter((token) => /\w/.test(token))
+    .join(" ");
+  if (
+    titleWords === phrase ||
+    (queryWords.length > 1 && titleWords.endsWith(` ${phrase}`))
+  ) {
+    score += SCORES.exactTitle;
+  }
+
+  return score;
+}
+
+module.exports = {
+  scoreItem,
+  editDistance,
+  tokenize,
+};
@@ -0,0 +1,254 @@
+// Joins the cached Linear issues, GitHub pull requests and Vercel deployments:
+//   Linear identifier <-> PR head.ref <-> deployment meta.githubCommitRef
+// Branches are named after issues, so any identifier found in a branch name
+// (or an issue's own branchName) links the two.
+
+const IDENTIFIER_PATTERN = /(?<![a-z0-9])[a-z]{2,10}-\d+(?!\d)/gi;
+
+// Built once per run from whatever is in the caches (the search daemon
+// resets them when a cache changes)
+let links = null;
+
+function resetLinks() {
+  links = null;
+}
+
+function getIdentifiersInBranch(branch) {
+  return [...(branch || "").matchAll(IDENTIFIER_PATTERN)].map(([match]) =>
+    match.toUpperCase()
+  );
+}
+
+function pushTo(map, key, value) {
+  if (!map.has(key)) {
+    map.set(key, []);
+  }
+  map.get(key).push(value);
+}
+
+function byNewest(getDate) {
+  return (a, b) => new Date(getDate(b)) - new Date(getDate(a));
+}
+
+function loadLinks() {
+  if (links) {
+    return links;
+  }
+
+  // Required here, the registry loads the filters that require this module
+  const { getSource, readSourceCache } = require("./source-registry");
+  const readCache = (prefix) => {
+    const source = getSource(prefix);
+    return source ? readSourceCache(source) : [];
+  };
+
+  const issues = readCache("ln");
+  const pulls = readCache("gh");
+  const deployments = readCache("vc");
+
+  links = {
+    issuesByIdentifier: new Map(),
+    issuesByBranch: new Map(),
+    pullsByBranch: new Map(),
+    pullsByIdentifier: new Map(),
+    deploymentsByBranch: new Map(),
+  };
+
+  issues.forEach((issue) => {
+    links.issuesByIdentifier.set(issue.identifier, issue);
+    if (issue.branchName) {
+      links.issuesByBranch.set(issue.branchName, issue);
+    }
+  });
+
+  [...pulls].sort(byNewest((pr) => pr.updated_at)).forEach((pr) => {
+    pushTo(links.pullsByBranch, pr.head.ref, pr);
+    getIdentifiersInBranch(pr.head.ref).forEach((identifier) =>
+      pushTo(links.pullsByIdentifier, identifier, pr)
+    );
+  });
+
+  deployments
+    .filter((deployment) => deployment.meta?.githubCommitRef)
+    .sort(byNewest((deployment) => deployment.createdAt))
+    .forEach((deployment) =>
+      pushTo(
+        links.deploymentsByBranch,
+        deployment.meta.githubCommitRef,
+        deployment
+      )
+    );
+
+  return links;
+}
+
+function getIssue(identifier) {
+  return loadLinks().issuesByIdentifier.get(identifier.toUpperCase()) ?? null;
+}
+
+function getIssueForBranch(branch) {
+  const { issuesByBranch, issuesByIdentifier } = loadLinks();
+  if (issuesByBranch.has(branch)) {
+    return issuesByBranch.get(branch);
+  }
+  return (
+    getIdentifiersInBranch(branch)
+      .map((identifier) => issuesByIdentifier.get(identifier))
+      .find(Boolean) ?? null
+  );
+}
+
+function getPullsForIssue(issue) {
+  const { pullsByIdentifier, pullsByBranch } = loadLinks();
+  const pulls = [
+    ...(pullsByBranch.get(issue.branchName) || []),
+    ...(pullsByIdentifier.get(issue.identifier) || []),
+  ];
+  return [...new Set(pulls)].sort(byNewest((pr) => pr.updated_at));
+}
+
+// The branch an issue's work happens on, its newest PR wins over the branch
+// name Linear suggests
+function getIssueBranch(issue) {
+  return getPullsForIssue(issue)[0]?.head.ref ?? issue.branchName;
+}
+
+// Newest deployment of a branch, whatever its state
+function getLatestDeployment(branch) {
+  return loadLinks().deploymentsByBranch.get(branch)?.[0] ?? null;
+}
+
+function getPreviewUrl(branch) {
+  const deployment = loadLinks()
+    .deploymentsByBranch.get(branch)
+    ?.find((deployment) => deployment.readyState === "READY");
+  return deployment ? `https://${deployment.url}` : null;
+}
+
+// Everything we know about a branch, newest first
+function getBranchLinks(branch) {
+  const { pullsByBranch, deploymentsByBranch } = loadLinks();
+  return {
+    issue: getIssueForBranch(branch),
+    pulls: pullsByBranch.get(branch) || [],
+    deployments: deploymentsByBranch.get(branch) || [],
+    previewUrl: getPreviewUrl(branch),
+  };
+}
+
+// Branches with a pull request or deployment, most recently active first
+function getKnownBranches() {
+  const { pullsByBranch, deploymentsByBranch } = loadLinks();
+  const lastActive = new Map();
+  pullsByBranch.forEach(([pr], branch) =>
+    lastActive.set(branch, new Date(pr.updated_at))
+  );
+  deploymentsByBranch.forEach(([deployment], branch) => {
+    const createdAt = new Date(deployment.createdAt);
+    if (!(lastActive.get(branch) > createdAt)) {
+      lastActive.set(branch, createdAt);
+    }
+  });
+  return [...lastActive.keys()].sort(
+    (a, b) => lastActive.get(b) - lastActive.get(a)
+  );
+}
+
+// Find the branch for a branch name or a Linear identifier ("ENG-123")
+function findBranch(name) {
+  const { issuesByIdentifier, pullsByIdentifier } = loadLinks();
+
+  if (/^[a-z]{2,10}-\d+$/i.test(name)) {
+    const identifier = name.toUpperCase();
+    const issue = issuesByIdentifier.get(identifier);
+    const branch = issue
+      ? getIssueBranch(issue)
+      : pullsByIdentifier.get(identifier)?.[0].head.ref;
+    if (branch) {
+      return branch;
+    }
+  }
+
+  return (
+    getKnownBranches().find(
+      (branch) => branch.toLowerCase() === name.toLowerCase()
+    ) ?? null
+  );
+}
+
+function getPullState(pr) {
+  if (pr.merged_at) return "merged";
+  if (pr.state === "open" && pr.draft) return "draft";
+  return pr.state;
+}
+
+function formatPull(pr) {
+  return `PR #${pr.number} ${getPullState(pr)}`;
+}
+
+function formatDeployment(deployment) {
+  const environment =
+    deployment.target === "production" ? "production" : "preview";
+  return `${environment} ${deployment.readyState}`;
+}
+
+function formatIssue(issue) {
+  return `${issue.identifier} ${issue.state.name}`;
+}
+
+// Relation summaries for subtitles, e.g. ["PR #812 merged", "preview READY"]
+function getIssueRelations(issue) {
+  const [pr] = getPullsForIssue(issue);
+  const deployment = getLatestDeployment(getIssueBranch(issue));
+  return [
+    pr && formatPull(pr),
+    deployment && formatDeployment(deployment),
+  ].filter(Boolean);
+}
+
+function getPullRelations(pr) {
+  const issue = getIssueForBranch(pr.head.ref);
+  const deployment = getLatestDeployment(pr.head.ref);
+  return [
+    issue && formatIssue(issue),
+    deployment && formatDeployment(deployment),
+  ].filter(Boolean);
+}
+
+function getDeploymentRelations(deployment) {
+  const branch = deployment.meta?.githubCommitRef;
+  if (!branch) {
+    return [];
+  }
+  const issue = getIssueForBranch(branch);
+  const [pr] = loadLinks().pullsByBranch.get(branch) || [];
+  return [issue && formatIssue(issue), pr && formatPull(pr)].filter(Boolean);
+}
+
+function getBranchRelations(branch) {
+  const { issue, pulls, deployments } = getBranchLinks(branch);
+  return [
+    issue && formatIssue(issue),
+    pulls[0] && formatPull(pulls[0]),
+    deployments[0] && formatDeployment(deployments[0]),
+  ].filter(Boolean);
+}
+
+module.exports = {
+  getIdentifiersInBranch,
+  getIssue,
+  getIssueForBranch,
+  getPullsForIssue,
+  getIssueBranch,
+  getLatestDeployment,
+  getPreviewUrl,
+  getBranchLinks,
+  getKnownBranches,
+  findBranch,
+  getPullState,
+  getIssueRelations,
+  getPullRelations,
+  getDeploymentRelations,
+  getBranchRelations,
+  resetLinks,
+};
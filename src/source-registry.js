@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+const { readFromCache } = require("./data-cache-async");
+
+// Every `*-filter.js` module that exports a `source` descriptor is an
+// integration the root filter searches. A descriptor looks like:
+//   {
+//     prefix: "gh",                      // `aa gh <query>`
+//     name: "GitHub pull requests",      // display name
+//     description: "Search GitHub ...",  // help listing
+//     iconPath: "./src/icons/github.png",
+//     requiredEnv: ["GITHUB_API_KEY"],   // env vars the source needs, a
+//                                        // nested list means any one of them
+//     credentialEnv: ["GITHUB_API_KEY"], // the token among them, without it
+//                                        // the source isn't set up at all
+//     cacheFile: "github-cache.json",
+//     cacheTtl: 60 * 1000,               // optional, how long the cache is
+//                                        // fresh (stale-while-revalidate)
+//     cacheSchema,                       // optional, the cache's version
+//     fetchAllData,                      // used by src/sync-coordinator.js
+//     caches, readCache,                 // optional, sources with several
+//                                        // caches (one per repository, ...)
+//     recognize, resolve,                // optional, pasted identifiers
+//     operators,                         // optional, see query-parser.js
+//     checkAuth, setupUrl,               // optional, see doctor-filter.js
+//   }
+// Modules exporting a `mode` descriptor instead ({prefix, name, description,
+// usage}) are views the root filter hands the whole query to, e.g. `aa br`.
+let filterModules = null;
+
+function loadFilterModules() {
+  if (filterModules) {
+    return filterModules;
+  }
+
+  filterModules = fs
+    .readdirSync(__dirname)
+    .filter((file) => file.endsWith("-filter.js") && file !== "root-filter.js")
+    .sort()
+    .map((file) => {
+      const filterModule = path.basename(file, ".js");
+      return { filterModule, filter: require(`./${filterModule}`) };
+    })
+    // Other script filters (create-linear-issue-filter.js) aren't searched
+    .filter(({ filter }) => filter.source || filter.mode);
+
+  return filterModules;
+}
+
+function loadSources() {
+  return loadFilterModules()
+    .filter(({ filter }) => filter.source)
+    .map(({ filterModule, filter }) => ({
+      ...filter.source,
+      filterModule,
+      filter,
+    }));
+}
+
+function loadModes() {
+  return loadFilterModules()
+    .filter(({ filter }) => filter.mode)
+    .map(({ filterModule, filter }) => ({
+      ...filter.mode,
+      filterModule,
+      filter,
+    }));
+}
+
+// Look up a source by prefix ("gh") or module name ("github-filter")
+function getSource(prefixOrModule) {
+  return (
+    loadSources().find(
+      (source) =>
+        source.prefix === prefixOrModule ||
+        source.filterModule === prefixOrModule
+    ) ?? null
+  );
+}
+
+function isSourceConfigured(source) {
+  return (source.requiredEnv || []).every((names) =>
+    [names].flat().some((name) => !!process.env[name])
+  );
+}
+
+// The caches a source fetches into, as { cacheFile, fetch, ttl, schema }
+// targets
+function getSourceCaches(source) {
+  return (
+    source.caches?.() ?? [
+      {
+        cacheFile: source.cacheFile,
+        fetch: source.fetchAllData,
+        ttl: source.cacheTtl,
+        schema: source.cacheSchema,
+      },
+    ]
+  );
+}
+
+// Everything a source has cached, without fetching
+function readSourceCache(source) {
+  return (
+    source.readCache?.() ??
+    readFromCache(source.cacheFile, source.cacheSchema) ??
+    []
+  );
+}
+
+function getMode(prefix) {
+  return loadModes().find((mode) => mode.prefix === prefix) ?? null;
+}
+
+// Split "gh some query" into the source (or mode) prefix and the rest of
+// the query
+function parseSourceQuery(query) {
+  const prefixes = [...loadSources(), ...loadModes()].map(
+    (source) => source.prefix
+  );
+  const pattern = new RegExp(`^(${prefixes.join("|")})\\b\\s*`);
+  const match = (query ?? "").match(pattern);
+
+  return {
+    sourceFilter: match?.[1] ?? null,
+    restQuery: match ? query.slice(match[0].length) : query ?? "",
+  };
+}
+
+// Usage lines shared by scripts/run.sh --help
+function formatSourceHelp(command = "./scripts/run.sh") {
+  const lines = [`  ${command} <query>     Search across all sources`];
+
+  loadSources().forEach((source) => {
+    lines.push(`  ${command} ${source.prefix} <query>  ${source.description}`);
+    (source.subcommands || []).forEach(({ usage, description }) => {
+      lines.push(`  ${command} ${source.prefix} ${usage}  ${description}`);
+    });
+  });
+  loadModes().forEach((mode) => {
+    lines.push(
+      `  ${command} ${mode.prefix} ${mode.usage}  ${mode.description}`
+    );
+  });
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  loadSources,
+  loadModes,
+  getSource,
+  getMode,
+  isSourceConfigured,
+  getSourceCaches,
+  readSourceCache,
+  parseSourceQuery,
+  formatSourceHelp,
+};
+
+if (require.main === module) {
+  console.log("Usage:");
+  console.log(formatSourceHelp());
+}
@@ -0,0 +1,260 @@
+/**
+ * Usage: node src/sync-coordinator.js [--stale|--force] [<source>[:<cache file>] ...]
+ *
+ * Refreshes the caches of every configured source (or the given ones, by
+ * prefix or module name, optionally a single cache file of theirs) in one
+ * process, a few sources at a time. --stale only refreshes caches past their
+ * TTL, --force even those written moments ago (a refresh the user asked for). Schedule it to have the caches warm in the morning, e.g. with cron:
+ *
+ *   0 8 * * 1-5 cd <workflow folder> && node src/sync-coordinator.js
+ *
+ * The filters spawn it for their background refreshes too, and `aa sync`
+ * shows the progress it records in user-data/sync-status.json.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { logError } = require("./error-logger");
+const {
+  createLogger,
+  redirectConsoleToLog,
+  writeToCache,
+  shouldThrottle,
+  getCacheModifiedTime,
+  writeFileAtomic,
+} = require("./data-cache-async");
+const { acquireLock, releaseLock } = require("./lockfile");
+
+// Sources refreshed at the same time
+const MAX_CONCURRENT_SOURCES = 3;
+// A cache written this recently isn't fetched again, unless its TTL is
+// shorter (ms)
+const THROTTLE_TIME = 15 * 1000;
+
+const SYNC_STATUS_FILE = "sync-status.json";
+
+const log = createLogger("sync-coordinator.log");
+
+function getSyncStatusPath() {
+  return path.join(process.cwd(), "user-data", SYNC_STATUS_FILE);
+}
+
+// Per cache file: { source, state: "syncing" | "done" | "error", pid,
+// startedAt, finishedAt, duration, count, error }, queuedAt when a refresh
+// action asked for it and skippedAt when it was fresh enough already
+function readSyncStatus() {
+  try {
+    return JSON.parse(fs.readFileSync(getSyncStatusPath(), "utf8"));
+  } catch (error) {
+    return {};
+  }
+}
+
+function updateSyncStatus(cacheFile, status) {
+  try {
+    fs.mkdirSync(path.dirname(getSyncStatusPath()), { recursive: true });
+    const allStatus = readSyncStatus();
+    allStatus[cacheFile] = { ...allStatus[cacheFile], ...status };
+    writeFileAtomic(getSyncStatusPath(), JSON.stringify(allStatus, null, 2));
+  } catch (error) {
+    logError(error, "updateSyncStatus");
+  }
+}
+
+// A cleared cache has no progress to show any more
+function removeSyncStatus(cacheFile) {
+  try {
+    const allStatus = readSyncStatus();
+    if (cacheFile in allStatus) {
+      delete allStatus[cacheFile];
+      writeFileAtomic(getSyncStatusPath(), JSON.stringify(allStatus, null, 2));
+    }
+  } catch (error) {
+    logError(error, "removeSyncStatus");
+  }
+}
+
+function isExpired(target) {
+  const modified = getCacheModifiedTime(target.cacheFile);
+  return modified == null || Date.now() - modified > (target.ttl ?? 0);
+}
+
+async function refreshCache(source, target, { force = false } = {}) {
+  const { cacheFile } = target;
+  const logPrefix = `[${source.filterModule}] `;
+  // Refreshed or skipped, it's no longer waiting on us
+  updateSyncStatus(cacheFile, { queuedAt: null });
+
+  if (
+    !force &&
+    shouldThrottle(cacheFile, Math.min(THROTTLE_TIME, target.ttl ?? Infinity))
+  ) {
+    log(`Skipping ${cacheFile} - refreshed moments ago`, logPrefix);
+    updateSyncStatus(cacheFile, { skippedAt: Date.now() });
+    return;
+  }
+  // Another coordinator is refreshing it
+  if (!acquireLock(cacheFile)) {
+    log(`Skipping ${cacheFile} - another refresh holds the lock`, logPrefix);
+    return;
+  }
+
+  const startedAt = Date.now();
+  updateSyncStatus(cacheFile, {
+    source: source.prefix,
+    state: "syncing",
+    pid: process.pid,
+    startedAt,
+  });
+  log(`Fetch ${cacheFile}`, logPrefix);
+
+  try {
+    const result = await target.fetch();
+    if (target.write) {
+      target.write(result);
+    } else {
+      writeToCache(cacheFile, result, target.schema);
+    }
+    const finishedAt = Date.now();
+    log(`Fetch success in ${finishedAt - startedAt}ms`, logPrefix);
+    updateSyncStatus(cacheFile, {
+      state: "done",
+      finishedAt,
+      duration: finishedAt - startedAt,
+      count: Array.isArray(result) ? result.length : null,
+      error: null,
+    });
+  } catch (error) {
+    const finishedAt = Date.now();
+    log(`Fetch failure: ${error.message}`, logPrefix);
+    logError(error, `${source.filterModule} fetch failure`);
+    updateSyncStatus(cacheFile, {
+      state: "error",
+      finishedAt,
+      duration: finishedAt - startedAt,
+      error: error.message,
+    });
+  } finally {
+    releaseLock(cacheFile);
+  }
+}
+
+// A source's caches one after the other, the list is read again after each
+// one since the first can decide the rest (GitHub org repositories, Figma
+// team files)
+async function syncSource(source, { cacheFiles, staleOnly, force }) {
+  // Required here, the registry loads the filters
+  const { getSourceCaches } = require("./source-registry");
+  const visited = new Set();
+
+  for (;;) {
+    const target = getSourceCaches(source).find(
+      ({ cacheFile }) =>
+        !visited.has(cacheFile) &&
+        (cacheFiles == null || cacheFiles.includes(cacheFile))
+    );
+    if (!target) {
+      return;
+    }
+    visited.add(target.cacheFile);
+
+    if (!staleOnly || isExpired(target)) {
+      await refreshCache(source, target, { force });
+    }
+  }
+}
+
+// Run the jobs, at most `limit` at a time
+async function runWithConcurrency(jobs, limit) {
+  const queue = [...jobs];
+  const workers = Array.from(
+    { length: Math.min(limit, queue.length) },
+    async () => {
+      while (queue.length > 0) {
+        await queue.shift()();
+      }
+    }
+  );
+  await Promise.all(workers);
+}
+
+// requests: [{ source, cacheFiles }], cacheFiles null for all of them
+async function syncSources(
+  requests,
+  { staleOnly = false, force = false } = {}
+) {
+  await runWithConcurrency(
+    requests.map(
+      ({ source, cacheFiles }) =>
+        () =>
+          syncSource(source, { cacheFiles, staleOnly, force })
+    ),
+    MAX_CONCURRENT_SOURCES
+  );
+}
+
+// "gh", "github-filter", "gh:github-cache-owner-repo.json", ... into sync
+// requests, every configured source without any
+function parseSyncRequests(args) {
+  const {
+    getSource,
+    loadSources,
+    isSourceConfigured,
+  } = require("./source-registry");
+
+  if (args.length === 0) {
+    return loadSources()
+      .filter(isSourceConfigured)
+      .map((source) => ({ source, cacheFiles: null }));
+  }
+
+  const requests = new Map();
+  args.forEach((arg) => {
+    const [name, cacheFile] = arg.split(":");
+    const source = getSource(name);
+    if (!source) {
+      log(`Unknown source: ${name}`);
+      return;
+    }
+    const request = requests.get(source.prefix) ?? {
+      source,
+      cacheFiles: [],
+    };
+    if (cacheFile && request.cacheFiles) {
+      request.cacheFiles.push(cacheFile);
+    } else {
+      request.cacheFiles = null;
+    }
+    requests.set(source.prefix, request);
+  });
+  return [...requests.values()];
+}
+
+module.exports = {
+  readSyncStatus,
+  updateSyncStatus,
+  removeSyncStatus,
+  syncSources,
+  parseSyncRequests,
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const staleOnly = args.includes("--stale");
+  const force = args.includes("--force");
+  const requests = parseSyncRequests(
+    args.filter((arg) => !arg.startsWith("--"))
+  );
+
+  redirectConsoleToLog(log, "[sync-coordinator] ");
+
+  log(
+    `Sync ${requests.map(({ source }) => source.prefix).join(", ")}${
+      staleOnly ? " (stale caches)" : force ? " (forced)" : ""
+    }`
+  );
+  const start = Date.now();
+  syncSources(requests, { staleOnly, force })
+    .then(() => log(`Sync done in ${Date.now() - start}ms`))
+    .catch((error) => logError(error, "sync-coordinator"));
+}
@@ -0,0 +1,172 @@
+const { logError } = require("./error-logger");
+const {
+  createFilterItem,
+  createErrorItem,
+  executeFilterModule,
+  formatRelativeDate,
+  formatDuration,
+} = require("./filter-logic");
+const { isLocked } = require("./lockfile");
+const { readSyncStatus } = require("./sync-coordinator");
+
+// How often Alfred reruns us while a sync is running (s)
+const SYNC_RERUN_INTERVAL = 1;
+// A cache queued by a refresh action counts as syncing until the
+// coordinator gets to it, or for this long if it never does (ms)
+const QUEUED_TIMEOUT = 10 * 1000;
+
+// The sources to sync: every configured one, or those named in the query
+function getSyncSources(query) {
+  // Required here, the registry loads this module
+  const { loadSources, isSourceConfigured } = require("./source-registry");
+  const names = (query ?? "").split(/\s+/).filter(Boolean);
+  return loadSources()
+    .filter(isSourceConfigured)
+    .filter(
+      (source) =>
+        names.length === 0 ||
+        names.includes(source.prefix) ||
+        names.includes(source.filterModule)
+    );
+}
+
+// The sync status of each cache of the source
+function getSourceStatus(source, allStatus) {
+  const { getSourceCaches } = require("./source-registry");
+  return getSourceCaches(source).map(({ cacheFile }) => {
+    const status = allStatus[cacheFile] ?? {};
+    const queued =
+      status.queuedAt != null && Date.now() - status.queuedAt < QUEUED_TIMEOUT;
+    return {
+      ...status,
+      cacheFile,
+      // A refresh holds the cache's lock, "syncing" alone may be left over
+      // from a coordinator that was killed
+      running: queued || isLocked(cacheFile),
+    };
+  });
+}
+
+function formatSourceProgress(statuses) {
+  if (statuses.some((status) => status.running)) {
+    const done = statuses.filter(
+      (status) => !status.running && status.state === "done"
+    ).length;
+    return `⏳ Syncing… ${done}/${statuses.length} caches done`;
+  }
+
+  const failed = statuses.find((status) => status.state === "error");
+  if (failed) {
+    return `⚠️ Failed ${formatRelativeDate(failed.finishedAt)}: ${
+      failed.error
+    }`;
+  }
+
+  const synced = statuses.filter((status) => status.state === "done");
+  if (synced.length === 0) {
+    return "Not synced yet";
+  }
+  const count = synced.reduce((sum, status) => sum + (status.count ?? 0), 0);
+  const finishedAt = Math.max(...synced.map((status) => status.finishedAt));
+  const duration = Math.max(...synced.map((status) => status.duration));
+  return `✓ ${count} ${
+    count === 1 ? "item" : "items"
+  } synced ${formatRelativeDate(finishedAt)} in ${formatDuration(duration)}`;
+}
+
+// Actioning these runs src/cache-action.js (the workflow routes on
+// `action`), typing only shows the progress: Alfred reruns us on every
+// keystroke
+function createSyncItem({ title, subtitle, arg, iconPath, uid }) {
+  const item = createFilterItem({
+    title,
+    subtitle,
+    arg,
+    iconPath,
+    source: "sync",
+    uid,
+  });
+  return {
+    ...item,
+    variables: { ...item.variables, action: "cache" },
+  };
+}
+
+async function syncFilter(query) {
+  try {
+    const sources = getSyncSources(query);
+    if (sources.length === 0) {
+      return [
+        {
+          ...createFilterItem({
+            title: "Nothing to sync",
+            subtitle: query
+              ? `No configured source matches "${query.trim()}"`
+              : "Configure a source in the workflow's variables first",
+            iconPath: "./src/icons/atta.png",
+            source: "sync",
+          }),
+          valid: false,
+        },
+      ];
+    }
+
+    const allStatus = readSyncStatus();
+    const sourceStatuses = sources.map((source) => ({
+      source,
+      statuses: getSourceStatus(source, allStatus),
+    }));
+    const items = sourceStatuses.map(({ source, statuses }) => ({
+      ...createSyncItem({
+        title: source.name,
+        subtitle: `${formatSourceProgress(statuses)} • ↵ to sync`,
+        arg: `refresh ${source.prefix}`,
+        iconPath: source.iconPath,
+        uid: `sync-${source.prefix}`,
+      }),
+      autocomplete: `sync ${source.prefix}`,
+    }));
+    if (sources.length > 1) {
+      items.unshift(
+        createSyncItem({
+          title: "Sync all sources",
+          subtitle: "Refresh every source's caches in the background",
+          arg: "refresh all",
+          iconPath: "./src/icons/atta.png",
+          uid: "sync-all",
+        })
+      );
+    }
+
+    const running = sourceStatuses.some(({ statuses }) =>
+      statuses.some((status) => status.running)
+    );
+    if (running) {
+      items.rerun = SYNC_RERUN_INTERVAL;
+    }
+    return items;
+  } catch (error) {
+    logError(error, "syncFilter");
+    error.scriptFilterItem = createErrorItem({
+      title: "Sync",
+      subtitle: error.message,
+      iconPath: "./src/icons/atta.png",
+      source: "sync",
+      uid: "sync-error",
+    });
+    throw error;
+  }
+}
+
+module.exports = syncFilter;
+module.exports.mode = {
+  prefix: "sync",
+  name: "Sync",
+  description: "Show each source's sync progress, refresh them now",
+  usage: "[<source>]",
+};
+
+if (require.main === module) {
+  const query = process.argv.slice(2).join(" ");
+  executeFilterModule(() => syncFilter(query));
+}
@@ -0,0 +1,133 @@
+/**
+ * Usage: itemUid=<uid> itemSource=<source> node src/usage-store.js
+ *
+ * Alfred runs this for every result actioned from the script filters, the
+ * item's uid and source arrive as workflow variables.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { logErrorSilently } = require("./error-logger");
+const { writeFileAtomic } = require("./data-cache-async");
+
+// Kept apart from the *-cache.json files so cache refreshes never touch it
+const USAGE_FILE = "usage.json";
+const MAX_VISITS = 10; // recent visits sampled per item
+const MAX_ITEMS = 500; // least recently used items are dropped beyond this
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Visit weights by age, recent visits count more (Firefox style frecency)
+const VISIT_WEIGHTS = [
+  { maxAge: 4 * DAY, weight: 100 },
+  { maxAge: 14 * DAY, weight: 70 },
+  { maxAge: 31 * DAY, weight: 50 },
+  { maxAge: 90 * DAY, weight: 30 },
+  { maxAge: Infinity, weight: 10 },
+];
+
+// Boosts are added to the relevance score, items matter more than sources
+const ITEM_BOOST = 15;
+const SOURCE_BOOST = 5;
+
+function getUsagePath() {
+  return path.join(process.cwd(), "user-data", USAGE_FILE);
+}
+
+function readUsage() {
+  try {
+    const usage = JSON.parse(fs.readFileSync(getUsagePath(), "utf8"));
+    return { items: usage.items || {}, sources: usage.sources || {} };
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logErrorSilently(error, "readUsage");
+    }
+    return { items: {}, sources: {} };
+  }
+}
+
+function writeUsage(usage) {
+  const userDataDir = path.join(process.cwd(), "user-data");
+  if (!fs.existsSync(userDataDir)) {
+    fs.mkdirSync(userDataDir, { recursive: true });
+  }
+  writeFileAtomic(getUsagePath(), JSON.stringify(usage));
+}
+
+function addVisit(entry, now) {
+  const visits = [...(entry?.visits || []), now].slice(-MAX_VISITS);
+  return { count: (entry?.count || 0) + 1, visits };
+}
+
+function recordUsage(uid, source, now = Date.now()) {
+  const usage = readUsage();
+
+  usage.items[uid] = { ...addVisit(usage.items[uid], now), source };
+  if (source) {
+    usage.sources[source] = addVisit(usage.sources[source], now);
+  }
+
+  // Forget the items we haven't opened in the longest time
+  const uids = Object.keys(usage.items);
+  if (uids.length > MAX_ITEMS) {
+    uids
+      .sort(
+        (a, b) =>
+          Math.max(...usage.items[a].visits) -
+          Math.max(...usage.items[b].visits)
+      )
+      .slice(0, uids.length - MAX_ITEMS)
+      .forEach((staleUid) => delete usage.items[staleUid]);
+  }
+
+  writeUsage(usage);
+  return usage;
+}
+
+function frecency(entry, now = Date.now()) {
+  if (!entry?.visits?.length) {
+    return 0;
+  }
+  const totalWeight = entry.visits.reduce((total, visit) => {
+    const { weight } = VISIT_WEIGHTS.find(({ maxAge }) => now - visit < maxAge);
+    return total + weight;
+  }, 0);
+  return (entry.count * totalWeight) / entry.visits.length;
+}
+
+// Add frecency boosts to item scores. Item boosts always apply, source boosts
+// only break ties between items that already match the query.
+function applyFrecency(items, usage = readUsage(), now = Date.now()) {
+  return items.map((item) => {
+    const itemFrecency = frecency(usage.items[item.uid], now);
+    const sourceFrecency = item.score
+      ? frecency(usage.sources[item.source], now)
+      : 0;
+    const boost =
+      ITEM_BOOST * Math.log1p(itemFrecency / 100) +
+      SOURCE_BOOST * Math.log1p(sourceFrecency / 100);
+
+    if (boost === 0) {
+      return item;
+    }
+    return { ...item, score: (item.score ?? 0) + boost };
+  });
+}
+
+module.exports = {
+  readUsage,
+  recordUsage,
+  frecency,
+  applyFrecency,
+};
+
+if (require.main === module) {
+  const uid = process.env.itemUid;
+  if (uid) {
+    try {
+      recordUsage(uid, process.env.itemSource || null);
+    } catch (error) {
+      logErrorSilently(error, "recordUsage");
+    }
+  }
+}
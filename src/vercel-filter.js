@@ -1,18 +1,56 @@
 const { logError, logFetchResponseError } = require("./error-logger");
-const withFilterCache = require("./filter-cache-async").withFilterCache;
+const {
+  withFilterCacheGroup,
+  fetchCacheGroup,
+  readCacheGroup,
+  getCacheGroupTargets,
+  readFromCache,
+} = require("./filter-cache-async");
+const { readSyncState, writeSyncState } = require("./data-cache-async");
 const {
   formatSubtitle,
   createFilterItem,
+  createItemMods,
   createErrorItem,
   createNavigationItem,
   wrapFilterResults,
   getEmojiOrFallback,
   executeFilterModule,
-  filterByWords,
+  filterByQuery,
+  createQueryHintItem,
+  createSearchText,
 } = require("./filter-logic");
+const { getDeploymentRelations } = require("./source-linker");
+const {
+  parseQuery,
+  applyOperators,
+  formatOperatorUsage,
+  enumOperator,
+  personOperator,
+  textOperator,
+  dateOperator,
+} = require("./query-parser");
 
 const vercelToken = process.env.VERCEL_API_KEY;
-const vercelProject = process.env.VERCEL_PROJECT;
+// Projects to search, "team/project, team/other-project" (VERCEL_PROJECT is
+// the single project setting this replaces)
+const vercelProjects = (
+  process.env.VERCEL_PROJECTS ||
+  process.env.VERCEL_PROJECT ||
+  ""
+)
+  .split(",")
+  .map((project) => project.trim())
+  .filter(Boolean);
+// Navigation and `vc env` use the first project
+const vercelProject = vercelProjects[0];
+
+// Incremental syncs miss deleted deployments, resync everything daily
+const FULL_SYNC_INTERVAL = 24 * 60 * 60 * 1000;
+// Only the most recent deployments are kept, 100 per page
+const MAX_PAGES = 5;
+// Deployments whose state is still changing, fetched again until it settles
+const PENDING_STATES = ["QUEUED", "INITIALIZING", "BUILDING"];
 
 function getEmoji(state) {
   switch (state) {
@@ -28,17 +66,57 @@ function getEmoji(state) {
   }
 }
 
-async function fetchAllDeployments() {
+// Only what the filter, its operators and the linker use, deployments carry
+// their whole git metadata and build settings
+function projectDeployment(deployment) {
+  return {
+    uid: deployment.uid,
+    name: deployment.name,
+    url: deployment.url,
+    target: deployment.target,
+    readyState: deployment.readyState,
+    createdAt: deployment.createdAt,
+    inspectorUrl: deployment.inspectorUrl,
+    creator: { username: deployment.creator?.username },
+    meta: {
+      githubCommitRef: deployment.meta?.githubCommitRef,
+      githubCommitMessage: deployment.meta?.githubCommitMessage,
+    },
+    search: createSearchText(
+      deployment.meta?.githubCommitRef,
+      deployment.meta?.githubCommitMessage,
+      deployment.url
+    ),
+  };
+}
+
+// Pages of the project's deployments, newest first, "team/project" scopes
+// the request to the team (slug) and project. With `since`, only those
+// created after it.
+async function fetchDeploymentPages(vercelProject, since) {
   if (!vercelToken) {
     throw new Error("Missing VERCEL_API_KEY env var");
   }
 
+  const [team, project] = vercelProject.split("/");
+  if (!team || !project) {
+    throw new Error(
+      "Invalid VERCEL_PROJECTS format. Expected 'team/project-name'"
+    );
+  }
+
   const deployments = [];
   let until = undefined;
   let hasMore = true;
+  let page = 0;
 
-  while (hasMore) {
+  while (hasMore && page < MAX_PAGES) {
     const url = new URL("https://api.vercel.com/v6/deployments?limit=100");
+    url.searchParams.set("projectId", project);
+    url.searchParams.set("slug", team);
+    if (since) {
+      url.searchParams.set("since", since);
+    }
     if (until) {
       url.searchParams.set("until", until);
     }
@@ -55,122 +133,376 @@ async function fetchAllDeployments() {
     }
 
     const data = await response.json();
-    deployments.push(...data.deployments);
+    deployments.push(...data.deployments.map(projectDeployment));
 
     hasMore = data.pagination?.next;
     until = data.pagination?.next;
+    page++;
   }
 
   return deployments;
 }
 
-const fetchAllDeploymentsWithCache = withFilterCache(
-  fetchAllDeployments,
+// Incremental sync: only the deployments created since the newest one in the
+// cache, or since the oldest one still building, merged into it
+async function fetchProjectDeployments(vercelProject) {
+  const syncKey = `vercel:${vercelProject}`;
+  const cached = readFromCache(
+    deploymentsCache.getCacheFile(vercelProject),
+    deploymentsCache.schema
+  );
+  const lastFullSync = readSyncState(syncKey)?.fullSyncAt ?? 0;
+  if (!cached || Date.now() - lastFullSync > FULL_SYNC_INTERVAL) {
+    const deployments = await fetchDeploymentPages(vercelProject);
+    writeSyncState(syncKey, { fullSyncAt: Date.now() });
+    return deployments;
+  }
+
+  const pending = cached.filter((deployment) =>
+    PENDING_STATES.includes(deployment.readyState)
+  );
+  const since =
+    pending.length > 0
+      ? Math.min(...pending.map((deployment) => deployment.createdAt))
+      : Math.max(0, ...cached.map((deployment) => deployment.createdAt));
+  // `since` is exclusive, the deployment it was taken from is fetched again
+  const changed = await fetchDeploymentPages(vercelProject, since - 1);
+
+  const deploymentsByUid = new Map(
+    cached.map((deployment) => [deployment.uid, deployment])
+  );
+  changed.forEach((deployment) =>
+    deploymentsByUid.set(deployment.uid, deployment)
+  );
+  return [...deploymentsByUid.values()].sort(
+    (a, b) => b.createdAt - a.createdAt
+  );
+}
+
+async function fetchAllDeployments() {
+  if (vercelProjects.length === 0) {
+    throw new Error("Missing VERCEL_PROJECTS or VERCEL_PROJECT env var");
+  }
+  const deployments = await Promise.all(
+    vercelProjects.map(fetchProjectDeployments)
+  );
+  return deployments.flat();
+}
+
+// One cache per project, e.g. vercel-cache-fastviewai-sparrow-ml.json
+const deploymentsCache = withFilterCacheGroup(
+  fetchProjectDeployments,
   "vercel-filter",
-  "vercel-cache.json",
-  { cachePolicy: process.env.CACHE_POLICY }
+  (project) => `vercel-cache-${project.replace("/", "-")}.json`,
+  {
+    cachePolicy: process.env.CACHE_POLICY,
+    // Incremental syncs are a request or two, deployments build in minutes
+    ttl: 2 * 60 * 1000,
+    // 2: projected deployments, version 1 cached the whole payload
+    version: 2,
+    migrate: (deployments) => deployments.map(projectDeployment),
+  }
 );
 
-async function vercelFilter(query) {
-    const navigationItems = [
-      createNavigationItem({
-        title: "Vercel deployments",
-        arg: `https://vercel.com/${vercelProject}/deployments`,
-        iconPath: "./src/icons/vercel.png",
-        source: "vc",
-        // uid: "vercel-navigation",
+async function fetchAllDeploymentsWithCache(cacheOptions) {
+  if (vercelProjects.length === 0) {
+    throw new Error("Missing VERCEL_PROJECTS or VERCEL_PROJECT env var");
+  }
+  return fetchCacheGroup(deploymentsCache, vercelProjects, cacheOptions);
+}
+
+function readCachedDeployments() {
+  return readCacheGroup(deploymentsCache, vercelProjects);
+}
+
+function getTarget(deployment) {
+  return deployment.target === "production" ? "production" : "preview";
+}
+
+const readyStates = [
+  "ready",
+  "error",
+  "building",
+  "queued",
+  "initializing",
+  "canceled",
+];
+
+const readyStatePredicates = Object.fromEntries(
+  readyStates.map((state) => [
+    state,
+    (deployment) => deployment.readyState?.toLowerCase() === state,
+  ])
+);
+
+// Query operators, e.g. `state:error target:production created:<2d`
+const deploymentOperators = {
+  is: enumOperator("is", readyStatePredicates),
+  state: enumOperator("state", readyStatePredicates),
+  author: personOperator("author", (deployment) => [
+    deployment.creator?.username,
+  ]),
+  target: enumOperator("target", {
+    production: (deployment) => getTarget(deployment) === "production",
+    preview: (deployment) => getTarget(deployment) === "preview",
+  }),
+  project: textOperator("project", (deployment) => deployment.name),
+  branch: textOperator(
+    "branch",
+    (deployment) => deployment.meta?.githubCommitRef
+  ),
+  created: dateOperator("created", (deployment) => deployment.createdAt),
+};
+
+function createDeploymentItem(deployment, titlePrefix) {
+  return createFilterItem({
+    title: [
+      titlePrefix,
+      getEmoji(deployment.readyState),
+      deployment.meta?.githubCommitRef,
+      deployment.meta?.githubCommitMessage,
+    ]
+      .filter(Boolean)
+      .join(" "),
+    search: deployment.search,
+    subtitle: formatSubtitle(
+      deployment.creator?.username || "Unknown",
+      deployment.createdAt,
+      [
+        vercelProjects.length > 1 && deployment.name,
+        getTarget(deployment),
+        ...getDeploymentRelations(deployment),
+      ]
+    ),
+    arg: `https://${deployment.url}`,
+    iconPath: "./src/icons/vercel.png",
+    source: "vc",
+    date: new Date(deployment.createdAt),
+    uid: `vercel-deployment-${deployment.uid}`,
+    mods: {
+      ...createItemMods({
+        title: deployment.meta?.githubCommitMessage,
+        url: `https://${deployment.url}`,
+        branch: deployment.meta?.githubCommitRef,
       }),
-      createNavigationItem({
-        title: "Vercel environment variables",
-        arg: `https://vercel.com/${vercelProject}/settings/environment-variables`,
-        iconPath: "./src/icons/vercel.png",
-        source: "vc",
-        // uid: "vercel-env-navigation",
+      ...(deployment.inspectorUrl && {
+        shift: {
+          arg: deployment.inspectorUrl,
+          subtitle: "Open build logs",
+          variables: { url: deployment.inspectorUrl },
+        },
       }),
-    ];
+    },
+  });
+}
 
-    // Return early if query starts with "env"
-    if (query.trim().toLowerCase().startsWith("env")) {
-      return navigationItems;
+// Pasted deployment URLs (*.vercel.app) and dashboard links resolve straight
+// to the deployment
+function recognizeDeployment(query) {
+  const host = query.match(/^(?:https?:\/\/)?(?<host>[\w.-]+\.vercel\.app)\b/);
+  if (host) {
+    return { url: host.groups.host };
+  }
+  const dashboard = query.match(
+    /vercel\.com\/[\w-]+\/[\w-]+\/(?<id>(?:dpl_)?[a-zA-Z0-9]{16,})\b/
+  );
+  if (dashboard) {
+    const { id } = dashboard.groups;
+    return { id: id.startsWith("dpl_") ? id : `dpl_${id}` };
+  }
+  return null;
+}
+
+async function fetchDeployment(idOrUrl) {
+  // Team deployments are only found with the team's slug
+  const [team] = vercelProject?.split("/") || [];
+  const response = await fetch(
+    `https://api.vercel.com/v13/deployments/${encodeURIComponent(idOrUrl)}${
+      team ? `?slug=${team}` : ""
+    }`,
+    {
+      headers: {
+        Authorization: `Bearer ${vercelToken}`,
+      },
     }
+  );
 
-    try {
-      const allDeployments = await fetchAllDeploymentsWithCache();
-
-      const deploymentItems = allDeployments
-        .sort((a, b) => {
-          // Sort by githubCommitRef first
-          const refA = a.meta?.githubCommitRef || "";
-          const refB = b.meta?.githubCommitRef || "";
-          if (refA !== refB) return refA.localeCompare(refB);
-
-          // Then by createdAt (descending - newest first)
-          return new Date(b.createdAt) - new Date(a.createdAt);
-        })
-        .filter((deployment, index, array) => {
-          // Keep first occurrence of each readyState per githubCommitRef
-          // And filter out deployments older than most recent READY state
-          if (index === 0) return true;
-          const prev = array[index - 1];
-
-          // Find most recent READY deployment
-          const readyDeployment = array.find(
-            (d) =>
-              d.meta?.githubCommitRef === deployment.meta?.githubCommitRef &&
-              d.readyState === "READY"
-          );
-          if (
-            readyDeployment &&
-            new Date(deployment.createdAt) < new Date(readyDeployment.createdAt)
-          ) {
-            return false;
-          }
-
-          return (
-            prev.meta?.githubCommitRef !== deployment.meta?.githubCommitRef ||
-            prev.readyState !== deployment.readyState
-          );
-        })
-        .map((deployment) =>
-          createFilterItem({
-            title: [
-              allDeployments.titlePrefix,
-              getEmoji(deployment.readyState),
-              deployment.meta?.githubCommitRef,
-              deployment.meta?.githubCommitMessage,
-            ]
-              .filter(Boolean)
-              .join(" "),
-            subtitle: formatSubtitle(
-              deployment.creator?.username || "Unknown",
-              deployment.createdAt
-            ),
-            arg: `https://${deployment.url}`,
-            iconPath: "./src/icons/vercel.png",
-            source: "vc",
-            date: new Date(deployment.createdAt),
-            // uid: `vercel-deployment-${deployment.uid}`,
-          })
-        );
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    await logFetchResponseError(response, "fetchDeployment");
+    throw new Error("Vercel API request failed");
+  }
+
+  // v13 names the deployment id `id` where the list endpoint says `uid`
+  const deployment = await response.json();
+  return projectDeployment({
+    ...deployment,
+    uid: deployment.uid ?? deployment.id,
+  });
+}
+
+// The account the token belongs to, for `aa doctor`
+async function checkAuth() {
+  const response = await fetch("https://api.vercel.com/v2/user", {
+    headers: {
+      Authorization: `Bearer ${vercelToken}`,
+    },
+  });
+  if (response.status === 401 || response.status === 403) {
+    throw new Error("VERCEL_API_KEY was rejected, it may have expired");
+  }
+  if (!response.ok) {
+    await logFetchResponseError(response, "checkAuth");
+    throw new Error(`Vercel API request failed (${response.status})`);
+  }
+  return (await response.json()).user?.username ?? null;
+}
 
-      const allItems = wrapFilterResults(deploymentItems, ...navigationItems);
-      return filterByWords(allItems, query);
-    } catch (error) {
-      logError(error, "vercelFilter");
-      error.scriptFilterItem = createErrorItem({
-        title: "Vercel deployments",
-        subtitle: "Configure Workflow with your Vercel API Key",
-        arg: "https://vercel.com/account/settings/tokens",
+async function resolveDeployment({ url, id }) {
+  const cached = readCachedDeployments().find(
+    (deployment) => deployment.url === url || deployment.uid === id
+  );
+  const deployment = cached ?? (await fetchDeployment(url ?? id));
+  return deployment ? [createDeploymentItem(deployment)] : [];
+}
+
+async function vercelFilter(query, cacheOptions) {
+  // One deployments navigation item per project
+  const navigationItems = [
+    ...vercelProjects.map((project) =>
+      createNavigationItem({
+        title:
+          vercelProjects.length > 1
+            ? `Vercel deployments ${project}`
+            : "Vercel deployments",
+        arg: `https://vercel.com/${project}/deployments`,
         iconPath: "./src/icons/vercel.png",
         source: "vc",
-        // uid: "vercel-error",
-      });
-      throw error;
+        uid: `vercel-navigation-${project}`,
+      })
+    ),
+    createNavigationItem({
+      title: "Vercel environment variables",
+      arg: `https://vercel.com/${vercelProject}/settings/environment-variables`,
+      iconPath: "./src/icons/vercel.png",
+      source: "vc",
+      uid: "vercel-env-navigation",
+    }),
+  ];
+
+  // Return early if query starts with "env"
+  if (query.trim().toLowerCase().startsWith("env")) {
+    return navigationItems;
+  }
+
+  try {
+    const allDeployments = await fetchAllDeploymentsWithCache(cacheOptions);
+
+    const parsedQuery = parseQuery(query);
+    const { records: deployments, unsupported } = applyOperators(
+      allDeployments,
+      parsedQuery,
+      deploymentOperators
+    );
+    if (unsupported.length > 0) {
+      return [
+        createQueryHintItem({
+          unsupported,
+          usage: formatOperatorUsage(deploymentOperators),
+          iconPath: "./src/icons/vercel.png",
+          source: "vc",
+        }),
+      ];
     }
+
+    const deploymentItems = deployments
+      .sort((a, b) => {
+        // Sort by project, then githubCommitRef
+        const nameA = a.name || "";
+        const nameB = b.name || "";
+        if (nameA !== nameB) return nameA.localeCompare(nameB);
+
+        const refA = a.meta?.githubCommitRef || "";
+        const refB = b.meta?.githubCommitRef || "";
+        if (refA !== refB) return refA.localeCompare(refB);
+
+        // Then by createdAt (descending - newest first)
+        return new Date(b.createdAt) - new Date(a.createdAt);
+      })
+      .filter((deployment, index, array) => {
+        // Keep first occurrence of each readyState per project and
+        // githubCommitRef
+        // And filter out deployments older than most recent READY state
+        if (index === 0) return true;
+        const prev = array[index - 1];
+
+        // Find most recent READY deployment
+        const readyDeployment = array.find(
+          (d) =>
+            d.name === deployment.name &&
+            d.meta?.githubCommitRef === deployment.meta?.githubCommitRef &&
+            d.readyState === "READY"
+        );
+        if (
+          readyDeployment &&
+          new Date(deployment.createdAt) < new Date(readyDeployment.createdAt)
+        ) {
+          return false;
+        }
+
+        return (
+          prev.name !== deployment.name ||
+          prev.meta?.githubCommitRef !== deployment.meta?.githubCommitRef ||
+          prev.readyState !== deployment.readyState
+        );
+      })
+      .map((deployment) =>
+        createDeploymentItem(deployment, allDeployments.titlePrefix)
+      );
+
+    const allItems = wrapFilterResults(deploymentItems, ...navigationItems);
+    return filterByQuery(allItems, parsedQuery);
+  } catch (error) {
+    logError(error, "vercelFilter");
+    error.scriptFilterItem = createErrorItem({
+      title: "Vercel deployments",
+      subtitle: "Configure Workflow with your Vercel API Key",
+      arg: "https://vercel.com/account/settings/tokens",
+      iconPath: "./src/icons/vercel.png",
+      source: "vc",
+      uid: "vercel-error",
+    });
+    throw error;
+  }
 }
 
 module.exports = vercelFilter;
 module.exports.fetchAllData = fetchAllDeployments;
+module.exports.createDeploymentItem = createDeploymentItem;
+module.exports.source = {
+  prefix: "vc",
+  name: "Vercel deployments",
+  description: "Search Vercel deployments",
+  iconPath: "./src/icons/vercel.png",
+  requiredEnv: ["VERCEL_API_KEY", ["VERCEL_PROJECTS", "VERCEL_PROJECT"]],
+  credentialEnv: ["VERCEL_API_KEY"],
+  caches: () => getCacheGroupTargets(deploymentsCache, vercelProjects),
+  readCache: readCachedDeployments,
+  fetchAllData: fetchAllDeployments,
+  recognize: recognizeDeployment,
+  resolve: resolveDeployment,
+  operators: deploymentOperators,
+  checkAuth,
+  setupUrl: "https://vercel.com/account/settings/tokens",
+  subcommands: [
+    {
+      usage: "env <prod|dev|preview>",
+      description: "Get Vercel environment variables",
+    },
+  ],
+};
 
 if (require.main === module) {
   const query = process.argv.slice(2).join(" ");
@@ -7,7 +7,14 @@ const {
 } = require("./filter-logic");
 
 const vercelToken = process.env.VERCEL_API_KEY;
-const vercelProject = process.env.VERCEL_PROJECT;
+// Environment variables are those of the first configured project
+const vercelProject = (
+  process.env.VERCEL_PROJECTS ||
+  process.env.VERCEL_PROJECT ||
+  ""
+)
+  .split(",")[0]
+  .trim();
 
 async function fetchEnvironmentVariables(team, project, targetEnv) {
   if (!vercelToken) {
@@ -153,11 +160,11 @@ async function vercelGetEnv(query) {
       environmentDisplay = "preview";
     }
 
-    // Extract team and project from VERCEL_PROJECT (format: owner/project-name)
+    // Extract team and project from VERCEL_PROJECTS (format: owner/project-name)
     const [team, project] = vercelProject?.split("/") || [];
     if (!team || !project) {
       throw new Error(
-        "Invalid VERCEL_PROJECT format. Expected 'owner/project-name'"
+        "Invalid VERCEL_PROJECTS format. Expected 'owner/project-name'"
       );
     }
 